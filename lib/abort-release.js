@@ -0,0 +1,61 @@
+/**
+ * Abort release
+ * Ties the cleanup of a browser context to an AbortSignal. The cleanup runs once,
+ * from whichever comes first: cancellation or the caller's finally block. Closing
+ * the context on abort interrupts whatever page operation is in progress, so a
+ * cancelled extraction frees its browser straight away instead of running on.
+ *
+ *   const resource = new AbortRelease(signal, async () => { ...close page/context });
+ *   try {
+ *     ...acquire the context
+ *     resource.watch();
+ *     ...use it
+ *   } catch (error) {
+ *     throw resource.reasonFor(error);
+ *   } finally {
+ *     await resource.close();
+ *   }
+ */
+class AbortRelease {
+  constructor(signal, cleanup) {
+    this.signal = signal;
+    this.cleanup = cleanup;
+    this.released = null;
+    this.onAbort = () => this.release();
+  }
+
+  /**
+   * Start releasing on abort; call once the resource is acquired. Throws if
+   * the signal was aborted while acquiring it.
+   */
+  watch() {
+    this.signal?.throwIfAborted();
+    this.signal?.addEventListener('abort', this.onAbort, { once: true });
+  }
+
+  /**
+   * Run the cleanup, or wait for the run already started
+   */
+  release() {
+    this.released ??= (async () => this.cleanup())();
+    return this.released;
+  }
+
+  /**
+   * Whatever failed after cancellation failed because of it, so report the
+   * abort reason instead
+   */
+  reasonFor(error) {
+    return this.signal?.aborted ? this.signal.reason : error;
+  }
+
+  /**
+   * Stop watching the signal and release
+   */
+  async close() {
+    this.signal?.removeEventListener('abort', this.onAbort);
+    await this.release();
+  }
+}
+
+export { AbortRelease };
@@ -0,0 +1,98 @@
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Audit log for administrative actions
+ * Keeps the most recent entries in memory and, with `file` set, appends every
+ * entry to it as a JSON line so the trail survives restarts. A failed write
+ * is counted and logged but never fails the action being recorded.
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.file = options.file || null;
+    
+    // Recent entries, newest last
+    this.entries = [];
+    this.writeErrors = 0;
+    
+    // File writes run one at a time so entries stay in order
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Record an action: { action, target, params, actor, result }
+   */
+  record({ action, target = null, params = {}, actor = {}, result = null }) {
+    const entry = {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      action,
+      target,
+      params,
+      actor,
+      result
+    };
+    
+    this.entries.push(entry);
+    if (this.entries.length > this.maxEntries) {
+      this.entries.shift();
+    }
+    
+    console.log(`[Audit] ${action}${target ? ` ${target}` : ''} by ${actor.ip || 'unknown'}`);
+    this.append(entry);
+    return entry;
+  }
+
+  /**
+   * Recent entries, newest first. Pass { action } to filter.
+   */
+  list({ limit = 100, action } = {}) {
+    return this.matching(action)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Number of entries kept, only counting `action` when given
+   */
+  count({ action } = {}) {
+    return this.matching(action).length;
+  }
+
+  matching(action) {
+    return this.entries.filter(entry => !action || entry.action === action);
+  }
+
+  append(entry) {
+    if (!this.file) return;
+    
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+      })
+      .catch(error => {
+        this.writeErrors++;
+        console.error('[Audit] Failed to write audit log:', error.message);
+      });
+  }
+
+  /**
+   * Wait for queued file writes to finish
+   */
+  flush() {
+    return this.writeQueue;
+  }
+
+  getStats() {
+    return {
+      entries: this.entries.length,
+      file: this.file,
+      writeErrors: this.writeErrors
+    };
+  }
+}
+
+export { AuditLog };
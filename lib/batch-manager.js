@@ -0,0 +1,237 @@
+/**
+ * Batch manager for multi-video extractions
+ * Feeds batch items into the RequestQueue a few at a time so large batches
+ * never overflow the queue, and tracks per-item results and aggregate progress
+ */
+class BatchManager {
+  constructor(options = {}) {
+    this.requestQueue = options.requestQueue;
+    this.maxInFlight = options.maxInFlight || 10;
+    this.maxBatchSize = options.maxBatchSize || 500;
+    this.retryInterval = options.retryInterval || 1000;
+    
+    this.batches = new Map();
+    this.stats = {
+      created: 0,
+      completed: 0,
+      cancelled: 0,
+      items: 0,
+      duplicates: 0
+    };
+  }
+
+  /**
+   * Create a batch. Entries sharing a key are extracted once.
+   * `run(input, signal, attempts)` performs the work for one entry inside the queue;
+   * `retryPolicy` overrides the queue's policy for the batch's priority.
+   */
+  create(entries, options = {}) {
+    if (entries.length > this.maxBatchSize) {
+      throw new Error(`Batch too large (${entries.length} items, max ${this.maxBatchSize})`);
+    }
+    
+    const keyOf = options.key || (input => JSON.stringify(input));
+    const seen = new Set();
+    const items = [];
+    
+    for (const input of entries) {
+      const key = keyOf(input);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      
+      items.push({
+        key,
+        input,
+        status: 'pending',
+        queueId: null,
+        result: null,
+        error: null
+      });
+    }
+    
+    const batch = {
+      id: this.generateId(),
+      status: 'running',
+      items,
+      duplicates: entries.length - items.length,
+      inFlight: 0,
+      run: options.run,
+      priority: options.priority,
+      timeout: options.timeout,
+      retryPolicy: options.retryPolicy,
+      createdAt: Date.now(),
+      finishedAt: null
+    };
+    
+    this.batches.set(batch.id, batch);
+    this.stats.created++;
+    this.stats.items += items.length;
+    this.stats.duplicates += batch.duplicates;
+    
+    this.pump(batch);
+    return batch;
+  }
+
+  /**
+   * Submit pending items while the batch has in-flight capacity
+   */
+  pump(batch) {
+    if (batch.status !== 'running') return;
+    
+    for (const item of batch.items) {
+      if (batch.inFlight >= this.maxInFlight) break;
+      if (item.status !== 'pending') continue;
+      
+      let submission;
+      try {
+        submission = this.requestQueue.submit((signal, attempts) => batch.run(item.input, signal, attempts), {
+          priority: batch.priority,
+          timeout: batch.timeout,
+          retryPolicy: batch.retryPolicy,
+          metadata: { batchId: batch.id, key: item.key }
+        });
+      } catch (error) {
+        // Queue is full; try again once other work drains
+        if (!batch.retryTimer) {
+          batch.retryTimer = setTimeout(() => {
+            batch.retryTimer = null;
+            this.pump(batch);
+          }, this.retryInterval);
+        }
+        break;
+      }
+      
+      item.status = 'queued';
+      item.queueId = submission.id;
+      batch.inFlight++;
+      
+      submission.promise
+        .then(result => {
+          item.status = 'completed';
+          item.result = result;
+        })
+        .catch(error => {
+          item.status = error.code === 'CANCELLED' ? 'cancelled' : 'failed';
+          item.error = error;
+        })
+        .finally(() => {
+          batch.inFlight--;
+          this.pump(batch);
+          this.checkFinished(batch);
+        });
+    }
+    
+    this.checkFinished(batch);
+  }
+
+  /**
+   * Mark the batch finished once no item is pending or in flight
+   */
+  checkFinished(batch) {
+    if (batch.status !== 'running') return;
+    
+    const done = batch.items.every(item =>
+      item.status !== 'pending' && item.status !== 'queued'
+    );
+    
+    if (done) {
+      batch.status = 'completed';
+      batch.finishedAt = Date.now();
+      this.stats.completed++;
+    }
+  }
+
+  /**
+   * Cancel all unfinished items of a batch
+   */
+  cancel(id) {
+    const batch = this.batches.get(id);
+    if (!batch || batch.status !== 'running') return false;
+    
+    batch.status = 'cancelled';
+    batch.finishedAt = Date.now();
+    clearTimeout(batch.retryTimer);
+    this.stats.cancelled++;
+    
+    for (const item of batch.items) {
+      if (item.status === 'pending') {
+        item.status = 'cancelled';
+      } else if (item.status === 'queued') {
+        this.requestQueue.cancel(item.queueId, 'Batch cancelled');
+      }
+    }
+    
+    return true;
+  }
+
+  getBatch(id) {
+    return this.batches.get(id) || null;
+  }
+
+  /**
+   * Status of a single item, reading live queue state while it is in flight
+   */
+  getItemStatus(item) {
+    if (item.status !== 'queued') return item.status;
+    return this.requestQueue.getItem(item.queueId)?.status || item.status;
+  }
+
+  /**
+   * Aggregate progress counts for a batch
+   */
+  getProgress(batch) {
+    const counts = {
+      total: batch.items.length,
+      pending: 0,
+      queued: 0,
+      processing: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0
+    };
+    
+    for (const item of batch.items) {
+      const status = this.getItemStatus(item);
+      const bucket = status === 'retrying' ? 'queued' : status;
+      if (bucket in counts) counts[bucket]++;
+    }
+    
+    const finished = counts.completed + counts.failed + counts.cancelled;
+    
+    return {
+      ...counts,
+      duplicates: batch.duplicates,
+      percent: counts.total > 0 ? Math.round((finished / counts.total) * 100) : 100
+    };
+  }
+
+  /**
+   * Remove finished batches older than specified age
+   */
+  clearFinished(maxAge = 3600000) {
+    const cutoff = Date.now() - maxAge;
+    let cleared = 0;
+    
+    for (const [id, batch] of this.batches.entries()) {
+      if (batch.finishedAt && batch.finishedAt < cutoff) {
+        this.batches.delete(id);
+        cleared++;
+      }
+    }
+    
+    return cleared;
+  }
+
+  generateId() {
+    return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      active: Array.from(this.batches.values()).filter(b => b.status === 'running').length
+    };
+  }
+}
+
+export { BatchManager };
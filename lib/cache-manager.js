@@ -4,20 +4,42 @@ import { createHash } from 'crypto';
  * Cache Manager for YouTube Transcript Service
  * 
  * Implements an LRU (Least Recently Used) cache to store transcript data
- * and reduce redundant YouTube requests.
+ * and reduce redundant YouTube requests. The Map's insertion order is the LRU
+ * order (an access re-inserts the key), so get/set stay O(1) at any size.
+ * Entries are evicted when either the entry count (`maxSize`) or the byte
+ * budget (`maxBytes`) is exceeded.
+ * 
+ * Each entry carries its own TTL (maxAge by default). With `staleTtl` set, an
+ * entry past its TTL is kept for that much longer so `lookup()` can serve it
+ * marked stale while the caller refreshes it; `get()` only returns fresh values.
+ * 
+ * An optional storage adapter persists entries across restarts. Memory stays the
+ * source of truth while running; every change is written through to storage and
+ * `load()` restores entries on startup. Adapters implement:
+ *   name, load() -> [[key, entry]], set(key, entry, ttl), delete(key), clear(), close()
  */
 export class CacheManager {
   constructor(options = {}) {
     this.maxSize = options.maxSize || 100; // Maximum number of entries
+    this.maxBytes = options.maxBytes || Infinity; // Maximum total entry size
     this.maxAge = options.maxAge || 1800000; // 30 minutes default
+    this.staleTtl = options.staleTtl || 0; // Stale-while-revalidate window
+    this.storage = options.storage || null;
+    this.warmer = options.warmer || null; // CacheWarmer used by warmUp()
     this.cache = new Map();
-    this.accessOrder = [];
+    this.totalBytes = 0;
     this.stats = {
       hits: 0,
+      staleHits: 0,
       misses: 0,
-      evictions: 0
+      evictions: 0,
+      oversized: 0,
+      storageErrors: 0
     };
     
+    // Storage writes run one at a time so a delete never overtakes its set
+    this.storageQueue = Promise.resolve();
+    
     // Start cleanup interval
     this.cleanupInterval = setInterval(() => this.cleanup(), 300000); // Every 5 minutes
   }
@@ -28,35 +50,111 @@ export class CacheManager {
   get(key) {
     const entry = this.cache.get(key);
     
-    if (!entry) {
+    if (!entry || this.isStale(entry)) {
+      if (entry && this.isExpired(entry)) {
+        this.delete(key);
+      }
       this.stats.misses++;
       return null;
     }
     
-    // Check if expired
-    if (Date.now() - entry.timestamp > this.maxAge) {
-      this.delete(key);
+    this.touch(key, entry);
+    this.stats.hits++;
+    
+    return entry.value;
+  }
+  
+  /**
+   * Get item with its freshness: { value, age, ttl, stale }.
+   * Stale entries are returned until their stale window closes.
+   */
+  lookup(key) {
+    const entry = this.cache.get(key);
+    
+    if (!entry || this.isExpired(entry)) {
+      if (entry) {
+        this.delete(key);
+      }
       this.stats.misses++;
       return null;
     }
     
-    // Update access order (LRU)
-    this.updateAccessOrder(key);
+    const stale = this.isStale(entry);
+    this.touch(key, entry);
+    if (stale) {
+      this.stats.staleHits++;
+    } else {
+      this.stats.hits++;
+    }
     
-    this.stats.hits++;
+    return {
+      value: entry.value,
+      age: Date.now() - entry.timestamp,
+      ttl: this.ttlOf(entry),
+      stale
+    };
+  }
+  
+  /**
+   * Check for a fresh entry without counting a hit or miss
+   */
+  has(key) {
+    const entry = this.cache.get(key);
+    return Boolean(entry) && !this.isStale(entry);
+  }
+  
+  /**
+   * Record an access for LRU ordering and hit counts
+   */
+  touch(key, entry) {
+    this.cache.delete(key);
+    this.cache.set(key, entry);
     entry.hits++;
     entry.lastAccess = Date.now();
-    
-    return entry.value;
   }
   
   /**
-   * Set item in cache
+   * Entries persisted before per-entry TTLs fall back to maxAge
+   */
+  ttlOf(entry) {
+    return entry.ttl > 0 ? entry.ttl : this.maxAge;
+  }
+  
+  /**
+   * Past its TTL; may still be served stale
+   */
+  isStale(entry, now = Date.now()) {
+    return now - entry.timestamp > this.ttlOf(entry);
+  }
+  
+  /**
+   * Past its TTL and stale window; no longer served at all
+   */
+  isExpired(entry, now = Date.now()) {
+    return now - entry.timestamp > this.ttlOf(entry) + this.staleTtl;
+  }
+  
+  /**
+   * Set item in cache. `options` may be a TTL in milliseconds or
+   * { ttl, metadata, components }, where components are the keyComponents()
+   * the key was generated from. Values larger than the whole byte budget are
+   * not cached; returns false for those.
    */
   set(key, value, options = {}) {
-    // Check if we need to evict
-    if (this.cache.size >= this.maxSize && !this.cache.has(key)) {
-      this.evictLRU();
+    const { ttl, metadata, components } = typeof options === 'number' ? { ttl: options } : options;
+    const size = this.estimateSize(value);
+    
+    if (size > this.maxBytes) {
+      this.stats.oversized++;
+      console.log(`[Cache] Not caching ${key}: ${size} bytes exceeds the ${this.maxBytes} byte budget`);
+      return false;
+    }
+    
+    // Re-inserting moves the key to the most recently used end
+    const existing = this.cache.get(key);
+    if (existing) {
+      this.cache.delete(key);
+      this.totalBytes -= existing.size;
     }
     
     const entry = {
@@ -64,63 +162,169 @@ export class CacheManager {
       timestamp: Date.now(),
       lastAccess: Date.now(),
       hits: 0,
-      size: this.estimateSize(value),
-      metadata: options.metadata || {}
+      ttl: ttl > 0 ? ttl : this.maxAge,
+      size,
+      metadata: metadata || {},
+      components: components || null
     };
     
     this.cache.set(key, entry);
-    this.updateAccessOrder(key);
+    this.totalBytes += size;
+    this.evictToFit();
+    this.persist(storage => storage.set(key, entry, entry.ttl + this.staleTtl));
+    return true;
   }
   
   /**
    * Delete item from cache
    */
   delete(key) {
-    const deleted = this.cache.delete(key);
-    if (deleted) {
-      this.removeFromAccessOrder(key);
-    }
-    return deleted;
+    const entry = this.cache.get(key);
+    if (!entry) return false;
+    
+    this.cache.delete(key);
+    this.totalBytes -= entry.size;
+    this.persist(storage => storage.delete(key));
+    return true;
   }
   
   /**
-   * Clear entire cache
+   * Clear entire cache. Returns the number of entries removed.
    */
   clear() {
+    const cleared = this.cache.size;
     this.cache.clear();
-    this.accessOrder = [];
-    this.stats.evictions += this.cache.size;
+    this.totalBytes = 0;
+    this.stats.evictions += cleared;
+    this.persist(storage => storage.clear());
+    return cleared;
   }
   
   /**
-   * Update LRU access order
+   * Delete every entry for a video, across languages and transcript types
    */
-  updateAccessOrder(key) {
-    this.removeFromAccessOrder(key);
-    this.accessOrder.push(key);
+  deleteByVideoId(videoId) {
+    let deleted = 0;
+    
+    for (const [key, entry] of [...this.cache]) {
+      if (entry.components?.videoId === videoId && this.delete(key)) {
+        deleted++;
+      }
+    }
+    
+    return deleted;
   }
   
   /**
-   * Remove key from access order
+   * Describe entries for inspection, most recently used first.
+   * Pass { videoId } to list a single video.
    */
-  removeFromAccessOrder(key) {
-    const index = this.accessOrder.indexOf(key);
-    if (index > -1) {
-      this.accessOrder.splice(index, 1);
+  listEntries(filter = {}) {
+    const now = Date.now();
+    const entries = [];
+    
+    for (const [key, entry] of [...this.cache].reverse()) {
+      if (this.isExpired(entry, now)) continue;
+      if (filter.videoId && entry.components?.videoId !== filter.videoId) continue;
+      
+      entries.push({
+        key,
+        ...entry.components,
+        value: entry.value,
+        timestamp: entry.timestamp,
+        lastAccess: entry.lastAccess,
+        age: now - entry.timestamp,
+        ttl: this.ttlOf(entry),
+        stale: this.isStale(entry, now),
+        hits: entry.hits,
+        size: entry.size
+      });
     }
+    
+    return entries;
+  }
+  
+  /**
+   * Restore persisted entries into memory. Expired entries, and the least
+   * recently used ones beyond maxSize or maxBytes, are removed from storage instead.
+   */
+  async load() {
+    if (!this.storage) return 0;
+    
+    const now = Date.now();
+    const entries = await this.storage.load();
+    const live = entries
+      .filter(([, entry]) => !this.isExpired(entry, now) && entry.size <= this.maxBytes)
+      .sort(([, a], [, b]) => a.lastAccess - b.lastAccess)
+      .slice(-this.maxSize);
+    
+    // Restored entries are older than anything set since startup
+    const current = this.cache;
+    this.cache = new Map();
+    for (const [key, entry] of live) {
+      if (current.has(key)) continue;
+      this.cache.set(key, entry);
+      this.totalBytes += entry.size;
+    }
+    for (const [key, entry] of current) {
+      this.cache.set(key, entry);
+    }
+    
+    this.evictToFit();
+    
+    const loaded = new Set(live.map(([key]) => key));
+    for (const [key] of entries) {
+      if (!loaded.has(key)) {
+        this.persist(storage => storage.delete(key));
+      }
+    }
+    
+    console.log(`[Cache] Loaded ${live.length} entries from ${this.storage.name} storage`);
+    return live.length;
+  }
+  
+  /**
+   * Queue a write to the storage adapter. Failures are counted and logged but
+   * never reach callers, so a storage outage only costs persistence.
+   */
+  persist(operation) {
+    if (!this.storage) return;
+    
+    this.storageQueue = this.storageQueue
+      .then(() => operation(this.storage))
+      .catch(error => {
+        this.stats.storageErrors++;
+        console.error('[Cache] Storage write failed:', error.message);
+      });
+  }
+  
+  /**
+   * Wait for queued storage writes to finish
+   */
+  flush() {
+    return this.storageQueue;
   }
   
   /**
    * Evict least recently used item
    */
   evictLRU() {
-    if (this.accessOrder.length === 0) return;
+    if (this.cache.size === 0) return;
     
-    const lruKey = this.accessOrder[0];
+    const lruKey = this.cache.keys().next().value;
     this.delete(lruKey);
     this.stats.evictions++;
   }
   
+  /**
+   * Evict least recently used items until both the entry and byte limits hold
+   */
+  evictToFit() {
+    while (this.cache.size > this.maxSize || this.totalBytes > this.maxBytes) {
+      this.evictLRU();
+    }
+  }
+  
   /**
    * Clean up expired entries
    */
@@ -129,7 +333,7 @@ export class CacheManager {
     const expiredKeys = [];
     
     for (const [key, entry] of this.cache) {
-      if (now - entry.timestamp > this.maxAge) {
+      if (this.isExpired(entry, now)) {
         expiredKeys.push(key);
       }
     }
@@ -141,9 +345,9 @@ export class CacheManager {
    * Estimate size of cached value
    */
   estimateSize(value) {
-    // Simple estimation based on JSON string length
+    // Simple estimation based on the UTF-8 size of its JSON
     try {
-      return JSON.stringify(value).length;
+      return Buffer.byteLength(JSON.stringify(value));
     } catch {
       return 1000; // Default size
     }
@@ -153,60 +357,110 @@ export class CacheManager {
    * Get cache statistics
    */
   getStats() {
-    const totalSize = Array.from(this.cache.values())
-      .reduce((sum, entry) => sum + entry.size, 0);
+    const servedHits = this.stats.hits + this.stats.staleHits;
     
     return {
       ...this.stats,
+      storage: this.storage ? this.storage.name : 'memory',
       size: this.cache.size,
-      totalSize,
-      hitRate: this.stats.hits > 0 
-        ? ((this.stats.hits / (this.stats.hits + this.stats.misses)) * 100).toFixed(1) + '%'
+      totalSize: this.totalBytes,
+      maxBytes: Number.isFinite(this.maxBytes) ? this.maxBytes : null,
+      hitRate: servedHits > 0 
+        ? ((servedHits / (servedHits + this.stats.misses)) * 100).toFixed(1) + '%'
         : '0%',
-      utilization: ((this.cache.size / this.maxSize) * 100).toFixed(2) + '%'
+      utilization: ((this.cache.size / this.maxSize) * 100).toFixed(2) + '%',
+      byteUtilization: Number.isFinite(this.maxBytes)
+        ? ((this.totalBytes / this.maxBytes) * 100).toFixed(2) + '%'
+        : null
     };
   }
   
   /**
-   * Destroy cache manager
+   * Destroy cache manager. Persisted entries are kept for the next start.
    */
-  destroy() {
+  async destroy() {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
-    this.clear();
+    this.cache.clear();
+    this.totalBytes = 0;
+    
+    if (this.storage) {
+      await this.flush();
+      await this.storage.close();
+    }
+  }
+  
+  /**
+   * Key components with defaults applied, as hashed by generateKey. A request
+   * without a language gets whatever the video defaults to, so it keys apart
+   * from any explicit language. Fallback languages are only part of the key
+   * when there are some
+   */
+  static keyComponents(videoId, options = {}) {
+    const fallbackLanguages = options.fallbackLanguages?.length ? [...options.fallbackLanguages] : null;
+    
+    return {
+      videoId,
+      language: options.language || null,
+      ...(fallbackLanguages && { fallbackLanguages }),
+      quality: options.quality || 'auto',
+      transcriptType: options.transcriptType || 'auto'
+    };
   }
   
   /**
    * Generate cache key from options
    */
   static generateKey(videoId, options = {}) {
+    const { language, fallbackLanguages, quality, transcriptType } = CacheManager.keyComponents(videoId, options);
     const keyData = {
       v: videoId,
-      l: options.language || 'en',
-      q: options.quality || 'auto',
-      t: options.transcriptType || 'auto'
+      l: language,
+      q: quality,
+      t: transcriptType
     };
     
+    if (fallbackLanguages) {
+      keyData.f = fallbackLanguages;
+    }
+    
     // Use a hash for consistent key length
     const keyString = JSON.stringify(keyData);
     return createHash('md5').update(keyString).digest('hex');
   }
   
   /**
-   * Get cache key metadata
+   * Get cache key metadata. The hash can't be reversed, so this reads the
+   * components stored with the entry; unknown keys only report the hash.
    */
-  static parseKey(key) {
-    // For debugging - reverse engineer what a key represents
-    return { hash: key };
+  parseKey(key) {
+    const components = this.cache.get(key)?.components;
+    return components ? { hash: key, ...components } : { hash: key };
   }
   
   /**
-   * Warm up cache with common requests
+   * Most-hit entries first, for recording what to warm up after a restart
+   */
+  getTopEntries(limit = 50) {
+    return Array.from(this.cache, ([key, entry]) => ({ key, hits: entry.hits, metadata: entry.metadata }))
+      .sort((a, b) => b.hits - a.hits)
+      .slice(0, limit);
+  }
+  
+  /**
+   * Pre-populate the cache with frequently requested videos. IDs (or
+   * { videoId, language, transcriptType } entries) are handed to the warmer,
+   * which fetches them the same way as any other request; resolves to its
+   * progress report, or null when no warmer is configured.
    */
   async warmUp(commonVideoIds = []) {
-    // Pre-populate cache with frequently requested videos
-    console.log(`[Cache] Warming up with ${commonVideoIds.length} videos`);
-    // Implementation would fetch these videos proactively
+    if (!this.warmer) {
+      console.log(`[Cache] No warmer configured; skipping ${commonVideoIds.length} videos`);
+      return null;
+    }
+    
+    const entries = commonVideoIds.map(item => (typeof item === 'string' ? { videoId: item } : item));
+    return this.warmer.run(entries);
   }
 }
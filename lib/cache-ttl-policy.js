@@ -0,0 +1,43 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Cache TTL policy for transcripts
+ * Live and just-published videos still gain or change captions, so they are
+ * cached briefly; transcripts of old videos rarely change and are kept longer.
+ */
+class CacheTtlPolicy {
+  constructor(options = {}) {
+    this.defaultTtl = options.defaultTtl || 300000; // 5 minutes
+    this.liveTtl = options.liveTtl || 60000; // 1 minute
+    this.recentTtl = options.recentTtl || 300000; // 5 minutes
+    this.archiveTtl = options.archiveTtl || DAY;
+    this.recentAge = options.recentAge || 2 * DAY;
+    this.archiveAge = options.archiveAge || 30 * DAY;
+  }
+
+  /**
+   * TTL in milliseconds for an extracted transcript
+   */
+  ttlFor(transcript = {}) {
+    if (transcript.isLive) {
+      return this.liveTtl;
+    }
+    
+    const publishedAt = Date.parse(transcript.publishedAt);
+    if (!Number.isFinite(publishedAt)) {
+      return this.defaultTtl;
+    }
+    
+    const age = Date.now() - publishedAt;
+    if (age < this.recentAge) {
+      return this.recentTtl;
+    }
+    if (age > this.archiveAge) {
+      return this.archiveTtl;
+    }
+    
+    return this.defaultTtl;
+  }
+}
+
+export { CacheTtlPolicy };
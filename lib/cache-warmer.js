@@ -0,0 +1,133 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Cache warmer
+ * Runs a list of videos through the extraction pipeline after startup so a fresh
+ * deploy doesn't serve cold misses for the most requested transcripts.
+ * Entries are { videoId, language, transcriptType }; `warm(entry)` does the work
+ * and resolves to 'skipped' when the transcript was already cached.
+ */
+class CacheWarmer {
+  constructor(options = {}) {
+    this.warm = options.warm;
+    this.concurrency = options.concurrency || 2;
+    this.progress = this.createProgress();
+  }
+
+  createProgress(total = 0) {
+    return {
+      status: 'idle',
+      total,
+      warmed: 0,
+      skipped: 0,
+      failed: 0,
+      startedAt: null,
+      finishedAt: null
+    };
+  }
+
+  /**
+   * Warm entries a few at a time so warm-up never fills the request queue
+   */
+  async run(entries) {
+    if (this.progress.status === 'running') {
+      throw new Error('Cache warm-up is already running');
+    }
+    
+    const pending = CacheWarmer.dedupe(entries);
+    this.progress = {
+      ...this.createProgress(pending.length),
+      status: 'running',
+      startedAt: new Date().toISOString()
+    };
+    console.log(`[Cache] Warming up ${pending.length} videos`);
+    
+    let next = 0;
+    const worker = async () => {
+      while (next < pending.length) {
+        const entry = pending[next++];
+        try {
+          const outcome = await this.warm(entry);
+          this.progress[outcome === 'skipped' ? 'skipped' : 'warmed']++;
+        } catch (error) {
+          this.progress.failed++;
+          console.log(`[Cache] Warm-up failed for ${entry.videoId}:`, error.message);
+        }
+      }
+    };
+    
+    const workers = Math.min(this.concurrency, pending.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+    
+    this.progress.status = 'completed';
+    this.progress.finishedAt = new Date().toISOString();
+    
+    const { warmed, skipped, failed } = this.progress;
+    console.log(`[Cache] Warm-up finished: ${warmed} warmed, ${skipped} already cached, ${failed} failed`);
+    return this.getProgress();
+  }
+
+  getProgress() {
+    return { ...this.progress };
+  }
+
+  /**
+   * Parse a warm-up list: a JSON array of video IDs/URLs or entry objects, or
+   * IDs separated by commas or newlines (# starts a comment line)
+   */
+  static parse(text = '') {
+    const trimmed = text.trim();
+    if (!trimmed) return [];
+    
+    if (trimmed.startsWith('[')) {
+      return JSON.parse(trimmed)
+        .map(item => (typeof item === 'string' ? { videoId: item } : item))
+        .filter(item => item && typeof item.videoId === 'string');
+    }
+    
+    return trimmed
+      .split('\n')
+      .filter(line => !line.trim().startsWith('#'))
+      .flatMap(line => line.split(','))
+      .map(videoId => videoId.trim())
+      .filter(Boolean)
+      .map(videoId => ({ videoId }));
+  }
+
+  /**
+   * Read a warm-up list from a file; a missing file is an empty list
+   */
+  static async readFile(file) {
+    try {
+      return CacheWarmer.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Write entries as a JSON warm-up list
+   */
+  static async saveFile(file, entries) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(entries, null, 2));
+  }
+
+  /**
+   * Drop repeated video/language/type combinations, keeping the first
+   */
+  static dedupe(entries) {
+    const seen = new Set();
+    
+    return entries.filter(({ videoId, language, transcriptType }) => {
+      const key = `${videoId}|${language || ''}|${transcriptType || ''}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+export { CacheWarmer };
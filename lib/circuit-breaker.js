@@ -1,77 +1,198 @@
+import { ServiceError } from './service-error.js';
+
 /**
  * Circuit Breaker implementation for managing service availability
  * Prevents cascading failures by temporarily disabling failing operations
+ *
+ * Only errors that `isFailure` classifies as service failures count towards
+ * opening the circuit. By default client-type errors (no transcript, private
+ * video, ...) pass straight through: they say the video can't be served, not
+ * that the service is unhealthy.
+ *
+ * Two ways to trip: `consecutive` (default) opens after `failureThreshold`
+ * failures in a row; `window` opens when, over the calls of the last
+ * `monitoringPeriod` ms (or the last `windowSize` calls), at least
+ * `minimumCalls` were made and the failure rate reaches `failureRateThreshold`
+ * percent or the rate of calls slower than `slowCallThreshold` ms reaches
+ * `slowCallRateThreshold` percent.
  */
 class CircuitBreaker {
   constructor(options = {}) {
+    this.name = options.name || null;
+    this.label = this.name ? `Circuit breaker ${this.name}` : 'Circuit breaker';
     this.failureThreshold = options.failureThreshold || 5;
     this.resetTimeout = options.resetTimeout || 60000; // 1 minute
     this.monitoringPeriod = options.monitoringPeriod || 300000; // 5 minutes
+    this.isFailure = options.isFailure || CircuitBreaker.isServiceFailure;
+    
+    // Sliding-window mode
+    this.mode = options.mode === 'window' ? 'window' : 'consecutive';
+    this.windowSize = options.windowSize || 0; // Count-based window when set
+    this.minimumCalls = options.minimumCalls || 10;
+    this.failureRateThreshold = options.failureRateThreshold || 50; // Percent
+    this.slowCallThreshold = options.slowCallThreshold || 0; // ms, 0 disables
+    this.slowCallRateThreshold = options.slowCallRateThreshold || 50; // Percent
+    this.calls = []; // { time, failed, slow } per call in the window
     
     this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
     this.failures = 0;
     this.successes = 0;
     this.lastFailureTime = null;
     this.nextAttemptTime = null;
+    this.forcedOpen = false; // Held OPEN by an operator until closed or reset
     
     // Metrics for monitoring
     this.metrics = {
       totalRequests: 0,
       totalFailures: 0,
       totalSuccesses: 0,
+      totalCancelled: 0,
+      totalIgnored: 0,
+      totalSlow: 0,
       stateChanges: [],
       lastStateChange: null
     };
   }
 
-  async execute(operation) {
+  /**
+   * Run an operation through the breaker. Calls aborted through
+   * `options.signal` count as cancelled, not as failures.
+   */
+  async execute(operation, options = {}) {
+    const { signal } = options;
+    signal?.throwIfAborted();
+    
     this.metrics.totalRequests++;
     
     if (this.state === 'OPEN') {
+      if (this.forcedOpen) {
+        throw new ServiceError('CIRCUIT_OPEN', `${this.label} is forced OPEN`, { breaker: this.name });
+      }
       if (Date.now() < this.nextAttemptTime) {
-        throw new Error(`Circuit breaker is OPEN. Service unavailable until ${new Date(this.nextAttemptTime).toISOString()}`);
+        throw new ServiceError(
+          'CIRCUIT_OPEN',
+          `${this.label} is OPEN. Service unavailable until ${new Date(this.nextAttemptTime).toISOString()}`,
+          { breaker: this.name, retryAfter: Math.ceil((this.nextAttemptTime - Date.now()) / 1000) }
+        );
       }
       // Try to move to HALF_OPEN state
       this.setState('HALF_OPEN');
     }
     
+    const startedAt = Date.now();
     try {
       const result = await operation();
-      this.onSuccess();
+      this.onSuccess(Date.now() - startedAt);
       return result;
     } catch (error) {
-      this.onFailure();
+      // Cancellation says nothing about the service's health
+      if (signal?.aborted) {
+        this.metrics.totalCancelled++;
+        throw signal.reason;
+      }
+      
+      if (!this.isFailure(error)) {
+        this.metrics.totalIgnored++;
+        throw error;
+      }
+      
+      this.onFailure(Date.now() - startedAt);
       throw error;
     }
   }
 
-  onSuccess() {
+  onSuccess(duration = 0) {
     this.metrics.totalSuccesses++;
     this.failures = 0;
+    const slow = this.isSlow(duration);
+    if (slow) this.metrics.totalSlow++;
     
     if (this.state === 'HALF_OPEN') {
+      // A slow trial call means the service hasn't recovered yet
+      if (slow && this.mode === 'window') {
+        this.setState('OPEN');
+        return;
+      }
       this.successes++;
       // Need multiple successes to fully close the circuit
       if (this.successes >= 3) {
         this.setState('CLOSED');
         this.successes = 0;
       }
+    } else if (this.mode === 'window') {
+      this.recordCall(false, slow);
     }
   }
 
-  onFailure() {
+  onFailure(duration = 0) {
     this.metrics.totalFailures++;
     this.failures++;
     this.lastFailureTime = Date.now();
+    const slow = this.isSlow(duration);
+    if (slow) this.metrics.totalSlow++;
     
     if (this.state === 'HALF_OPEN') {
       // Single failure in HALF_OPEN reopens the circuit
       this.setState('OPEN');
+    } else if (this.mode === 'window') {
+      this.recordCall(true, slow);
     } else if (this.failures >= this.failureThreshold) {
       this.setState('OPEN');
     }
   }
 
+  isSlow(duration) {
+    return this.slowCallThreshold > 0 && duration >= this.slowCallThreshold;
+  }
+
+  /**
+   * Add a call to the sliding window and open the circuit if its failure or
+   * slow-call rate is over the threshold
+   */
+  recordCall(failed, slow) {
+    this.calls.push({ time: Date.now(), failed, slow });
+    
+    const { calls, failureRate, slowCallRate } = this.getWindowStats();
+    if (calls < this.minimumCalls) return;
+    
+    if (failureRate >= this.failureRateThreshold || slowCallRate >= this.slowCallRateThreshold) {
+      this.setState('OPEN');
+    }
+  }
+
+  /**
+   * Drop calls that fell out of the window
+   */
+  trimWindow() {
+    if (this.windowSize > 0) {
+      if (this.calls.length > this.windowSize) {
+        this.calls.splice(0, this.calls.length - this.windowSize);
+      }
+      return;
+    }
+    
+    const cutoff = Date.now() - this.monitoringPeriod;
+    const expired = this.calls.findIndex(call => call.time > cutoff);
+    this.calls.splice(0, expired === -1 ? this.calls.length : expired);
+  }
+
+  /**
+   * Call volume and failure and slow-call rates (percent) in the current window
+   */
+  getWindowStats() {
+    this.trimWindow();
+    
+    const calls = this.calls.length;
+    const failed = this.calls.filter(call => call.failed).length;
+    const slow = this.calls.filter(call => call.slow).length;
+    
+    return {
+      calls,
+      failureRate: calls > 0 ? (failed / calls) * 100 : 0,
+      slowCallRate: calls > 0 ? (slow / calls) * 100 : 0
+    };
+  }
+
   setState(newState) {
     const oldState = this.state;
     this.state = newState;
@@ -89,13 +210,21 @@ class CircuitBreaker {
       this.successes = 0;
     }
     
-    console.log(`Circuit breaker state changed: ${oldState} -> ${newState}`);
+    // Rates restart from scratch whenever the circuit opens or closes again
+    if (newState !== 'HALF_OPEN') {
+      this.calls = [];
+    }
+    
+    console.log(`${this.label} state changed: ${oldState} -> ${newState}`);
   }
 
   getState() {
     return {
       state: this.state,
+      forced: this.forcedOpen,
+      mode: this.mode,
       failures: this.failures,
+      window: this.mode === 'window' ? this.getWindowStats() : undefined,
       lastFailureTime: this.lastFailureTime,
       nextAttemptTime: this.nextAttemptTime,
       metrics: this.getMetrics()
@@ -121,8 +250,108 @@ class CircuitBreaker {
     this.successes = 0;
     this.lastFailureTime = null;
     this.nextAttemptTime = null;
-    console.log('Circuit breaker manually reset');
+    this.forcedOpen = false;
+    this.calls = [];
+    console.log(`${this.label} manually reset`);
+  }
+
+  /**
+   * Hold the circuit OPEN, e.g. during an upstream incident. Unlike a tripped
+   * circuit it doesn't go HALF_OPEN after resetTimeout; only forceClose() or
+   * reset() let calls through again.
+   */
+  forceOpen() {
+    if (this.state !== 'OPEN') {
+      this.setState('OPEN');
+    }
+    this.forcedOpen = true;
+  }
+
+  /**
+   * Close the circuit by hand, discarding the failures that opened it
+   */
+  forceClose() {
+    this.forcedOpen = false;
+    if (this.state !== 'CLOSED') {
+      this.setState('CLOSED');
+    }
+    this.failures = 0;
+    this.successes = 0;
+    this.nextAttemptTime = null;
+  }
+
+  /**
+   * Default failure classification: server-side and throttling errors count,
+   * client-type errors (4xx such as NO_TRANSCRIPT or PRIVATE_VIDEO) and
+   * cancellations don't. CIRCUIT_OPEN from a nested breaker was already
+   * counted by that breaker.
+   */
+  static isServiceFailure(error) {
+    if (ServiceError.codeOf(error) === 'CIRCUIT_OPEN') return false;
+    
+    const status = ServiceError.statusOf(error);
+    return status >= 500 || status === 429 || status === 408;
+  }
+}
+
+/**
+ * Independent circuit breakers keyed by failure domain (e.g. navigation, UI
+ * detection, browser launch), so one failing stage doesn't take down the others.
+ * Breakers are created on first use with the shared options, plus any
+ * per-key overrides in `options.breakers`.
+ */
+class CircuitBreakerGroup {
+  constructor(options = {}) {
+    const { breakers: overrides = {}, keys = [], ...defaults } = options;
+    this.defaults = defaults;
+    this.overrides = overrides;
+    this.breakers = new Map();
+    
+    // Listed keys show up in state reports before their first call
+    for (const key of keys) {
+      this.get(key);
+    }
+  }
+
+  get(key) {
+    let breaker = this.breakers.get(key);
+    if (!breaker) {
+      breaker = new CircuitBreaker({ ...this.defaults, ...this.overrides[key], name: key });
+      this.breakers.set(key, breaker);
+    }
+    return breaker;
+  }
+
+  execute(key, operation, options) {
+    return this.get(key).execute(operation, options);
+  }
+
+  has(key) {
+    return this.breakers.has(key);
+  }
+
+  /**
+   * State of each breaker by key
+   */
+  getState() {
+    return Object.fromEntries(
+      Array.from(this.breakers, ([key, breaker]) => [key, breaker.getState()])
+    );
+  }
+
+  getMetrics() {
+    return Object.fromEntries(
+      Array.from(this.breakers, ([key, breaker]) => [key, breaker.getMetrics()])
+    );
+  }
+
+  reset(key) {
+    if (key) {
+      this.breakers.get(key)?.reset();
+      return;
+    }
+    this.breakers.forEach(breaker => breaker.reset());
   }
 }
 
-export { CircuitBreaker };
\ No newline at end of file
+export { CircuitBreaker, CircuitBreakerGroup };
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Filesystem cache storage
+ * Persists each cache entry as a JSON file in a directory, so cached transcripts
+ * survive restarts when the directory is on a persistent volume
+ */
+class FileCacheStorage {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.directory = options.directory || './data/cache';
+    this.ready = null;
+  }
+
+  /**
+   * Create the cache directory once
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  /**
+   * Read all entries; unreadable files are skipped
+   */
+  async load() {
+    await this.init();
+    
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    const entries = [];
+    
+    for (const file of files) {
+      try {
+        const { key, entry } = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        entries.push([key, entry]);
+      } catch (error) {
+        console.log(`[Cache] Skipping unreadable cache file ${file}:`, error.message);
+      }
+    }
+    
+    return entries;
+  }
+
+  /**
+   * Write through a temporary file so a crash never leaves a partial entry
+   */
+  async set(key, entry) {
+    await this.init();
+    
+    const file = this.filePath(key);
+    const temp = `${file}.${process.pid}.tmp`;
+    
+    await fs.writeFile(temp, JSON.stringify({ key, entry }));
+    await fs.rename(temp, file);
+  }
+
+  async delete(key) {
+    await fs.unlink(this.filePath(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async clear() {
+    await this.init();
+    
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    await Promise.all(files.map(file => fs.unlink(path.join(this.directory, file)).catch(() => {})));
+  }
+
+  async close() {
+    // Nothing to release
+  }
+}
+
+export { FileCacheStorage };
@@ -0,0 +1,270 @@
+import net from 'net';
+import { ServiceError } from './service-error.js';
+
+/**
+ * Redis cache storage
+ * Speaks the Redis protocol (RESP) directly, so any Redis-compatible server works
+ * without a client dependency. Entries also expire in Redis with the cache TTL.
+ */
+class RedisCacheStorage {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.url = new URL(options.url || 'redis://127.0.0.1:6379');
+    this.prefix = options.prefix || 'transcripts:';
+    this.connectTimeout = options.connectTimeout || 5000;
+    this.scanCount = options.scanCount || 100;
+    
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Open the connection and authenticate/select the database from the URL
+   */
+  connect() {
+    // Commands wait until AUTH/SELECT have gone out on a new connection
+    if (this.connecting) return this.connecting;
+    if (this.socket) return Promise.resolve();
+    
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({
+        host: this.url.hostname,
+        port: Number(this.url.port) || 6379
+      });
+      
+      const timer = setTimeout(() => {
+        socket.destroy(new Error('Redis connection timeout'));
+      }, this.connectTimeout);
+      
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        resolve();
+      });
+      
+      socket.on('error', error => {
+        clearTimeout(timer);
+        this.failPending(error);
+        reject(error);
+      });
+      
+      socket.on('close', () => {
+        // A dropped connection must not disturb the one that replaced it
+        if (this.socket && this.socket !== socket) return;
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.failPending(new Error('Redis connection closed'));
+      });
+      
+      socket.on('data', chunk => this.onData(chunk));
+    })
+      .then(async () => {
+        const password = decodeURIComponent(this.url.password);
+        const username = decodeURIComponent(this.url.username);
+        if (password) {
+          await this.send(username ? ['AUTH', username, password] : ['AUTH', password]);
+        }
+        
+        const db = this.url.pathname.slice(1);
+        if (db) {
+          await this.send(['SELECT', db]);
+        }
+      })
+      .catch(error => {
+        // A rejected AUTH/SELECT must not leave the socket open for later commands
+        this.dropConnection(error);
+        throw error;
+      })
+      .finally(() => {
+        this.connecting = null;
+      });
+    
+    return this.connecting;
+  }
+
+  /**
+   * Run a command, connecting first if needed
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  /**
+   * Write a command on the open socket and wait for its reply
+   */
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('Redis connection is not open'));
+        return;
+      }
+      
+      const parts = [`*${args.length}\r\n`];
+      for (const arg of args) {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+      }
+      
+      this.pending.push({ resolve, reject });
+      this.socket.write(parts.join(''));
+    });
+  }
+
+  /**
+   * Match complete replies to pending commands in order
+   */
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    
+    let reply;
+    try {
+      while ((reply = this.parseReply(this.buffer, 0))) {
+        this.buffer = this.buffer.subarray(reply.offset);
+        
+        const pending = this.pending.shift();
+        if (!pending) continue;
+        
+        if (reply.value instanceof Error) {
+          pending.reject(reply.value);
+        } else {
+          pending.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      this.dropConnection(new ServiceError('STORAGE_UNAVAILABLE', `Invalid Redis reply: ${error.message}`));
+    }
+  }
+
+  /**
+   * Replies can't be matched to commands once the stream is out of step, so
+   * fail what is waiting and let the next command open a fresh connection
+   */
+  dropConnection(error) {
+    const socket = this.socket;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.failPending(error);
+    socket?.destroy();
+  }
+
+  /**
+   * Parse one RESP reply starting at offset; returns null until it is complete
+   */
+  parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+    
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new Error(line), offset: next };
+      case ':':
+        return { value: Number(line), offset: next };
+      case '$': {
+        const length = Number(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = Number(line);
+        if (count === -1) return { value: null, offset: next };
+        
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parseReply(buffer, position);
+          if (!item) return null;
+          items.push(item.value);
+          position = item.offset;
+        }
+        return { value: items, offset: position };
+      }
+      default:
+        throw new Error(`Unexpected Redis reply type: ${type}`);
+    }
+  }
+
+  failPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject }) => reject(error));
+  }
+
+  /**
+   * All keys under the prefix, via SCAN so large caches don't block Redis
+   */
+  async scanKeys() {
+    const keys = [];
+    let cursor = '0';
+    
+    do {
+      const [nextCursor, batch] = await this.command(
+        'SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', this.scanCount
+      );
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    
+    return [...new Set(keys)];
+  }
+
+  async load() {
+    const keys = await this.scanKeys();
+    const entries = [];
+    
+    for (let i = 0; i < keys.length; i += this.scanCount) {
+      const chunk = keys.slice(i, i + this.scanCount);
+      const values = await this.command('MGET', ...chunk);
+      
+      values.forEach((value, index) => {
+        if (value === null) return;
+        try {
+          entries.push([chunk[index].slice(this.prefix.length), JSON.parse(value)]);
+        } catch (error) {
+          console.log(`[Cache] Skipping unreadable Redis entry ${chunk[index]}:`, error.message);
+        }
+      });
+    }
+    
+    return entries;
+  }
+
+  async set(key, entry, ttl) {
+    const args = ['SET', `${this.prefix}${key}`, JSON.stringify(entry)];
+    if (ttl > 0) {
+      args.push('PX', Math.ceil(ttl));
+    }
+    await this.command(...args);
+  }
+
+  async delete(key) {
+    await this.command('DEL', `${this.prefix}${key}`);
+  }
+
+  async clear() {
+    const keys = await this.scanKeys();
+    
+    for (let i = 0; i < keys.length; i += this.scanCount) {
+      await this.command('DEL', ...keys.slice(i, i + this.scanCount));
+    }
+  }
+
+  async close() {
+    if (!this.socket) return;
+    
+    await this.send(['QUIT']).catch(() => {});
+    this.socket?.destroy();
+    this.socket = null;
+  }
+}
+
+export { RedisCacheStorage };
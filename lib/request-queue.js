@@ -1,6 +1,19 @@
+import { ServiceError } from './service-error.js';
+
 /**
  * Request queue manager for handling high load and rate limiting
  * Implements priority queue with concurrency control
+ * 
+ * Each item has an AbortSignal that is passed to its request function and
+ * aborted when the item is cancelled or times out, so running work can stop
+ * and release its resources instead of finishing unobserved.
+ * 
+ * Items may also carry a RetryPolicy, given per item or per priority through
+ * `retryPolicies` ({ HIGH, NORMAL, LOW }). The item's RetryAttempts ledger is passed to its request
+ * after the signal, and queue retries are only made while the ledger allows.
+ * 
+ * Processing can be paused (queued items wait, running ones finish), the
+ * waiting items drained, and concurrency and rate limits changed at runtime.
  */
 class RequestQueue {
   constructor(options = {}) {
@@ -15,10 +28,15 @@ class RequestQueue {
       LOW: 1
     };
     
+    // Retry policies keyed by priority name
+    this.retryPolicies = options.retryPolicies || {};
+    
     // Queue state
     this.queue = [];
     this.processing = new Map();
     this.completed = new Map();
+    this.failed = new Map();
+    this.paused = false;
     
     // Rate limiting
     this.rateLimiter = {
@@ -33,21 +51,39 @@ class RequestQueue {
       processing: 0,
       completed: 0,
       failed: 0,
+      cancelled: 0,
+      timedOut: 0,
       avgProcessingTime: 0,
       queueWaitTime: 0
     };
   }
 
   /**
-   * Add request to queue
+   * Add request to queue. Returns the promise from submit() itself, so items
+   * that time out or are cancelled while nobody awaits them don't surface as
+   * unhandled rejections.
+   */
+  enqueue(request, options = {}) {
+    try {
+      return this.submit(request, options).promise;
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Add request to queue without waiting for it.
+   * Returns the item id alongside the promise for its result.
+   * Aborting `options.signal` (e.g. on client disconnect) cancels the item.
+   * `options.retryPolicy` overrides the retry policy for the item's priority.
    */
-  async enqueue(request, options = {}) {
+  submit(request, options = {}) {
     const id = this.generateId();
     const priority = options.priority || this.priorities.NORMAL;
     
     // Check queue size limit
     if (this.queue.length >= this.maxQueueSize) {
-      throw new Error(`Queue is full (${this.maxQueueSize} items). Try again later.`);
+      throw new ServiceError('QUEUE_FULL', `Queue is full (${this.maxQueueSize} items). Try again later.`);
     }
     
     const queueItem = {
@@ -59,18 +95,14 @@ class RequestQueue {
       retries: 0,
       maxRetries: options.maxRetries || 3,
       callback: options.callback,
-      timeout: options.timeout || this.timeout
+      timeout: options.timeout || this.timeout,
+      metadata: options.metadata || {},
+      controller: new AbortController(),
+      attempts: this.retryPolicyFor(priority, options.retryPolicy)?.start() || null
     };
     
-    // Insert into queue based on priority
-    this.insertByPriority(queueItem);
-    this.stats.queued++;
-    
-    // Process queue
-    this.processQueue();
-    
-    // Return promise that resolves when request completes
-    return new Promise((resolve, reject) => {
+    // Create the promise before processing starts so resolve/reject are always set
+    const promise = new Promise((resolve, reject) => {
       queueItem.resolve = resolve;
       queueItem.reject = reject;
       
@@ -79,6 +111,150 @@ class RequestQueue {
         this.handleTimeout(id);
       }, queueItem.timeout);
     });
+    
+    // Callers may track the item by id and never await it, so a cancellation
+    // or timeout must not surface as an unhandled rejection
+    promise.catch(() => {});
+    
+    // Insert into queue based on priority
+    this.insertByPriority(queueItem);
+    this.stats.queued++;
+    
+    // The caller's signal cancels the item, before it starts or while it runs
+    const { signal } = options;
+    if (signal) {
+      const onAbort = () => this.cancel(id, signal.reason?.message || 'Request cancelled');
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+        const cleanup = () => signal.removeEventListener('abort', onAbort);
+        promise.then(cleanup, cleanup);
+      }
+    }
+    
+    // Process queue
+    this.processQueue();
+    
+    return { id, promise };
+  }
+
+  /**
+   * Retry policy for an item: its own, else its priority's, else none
+   */
+  retryPolicyFor(priority, retryPolicy) {
+    const name = Object.keys(this.priorities).find(key => this.priorities[key] === priority);
+    return retryPolicy || this.retryPolicies[name] || null;
+  }
+
+  /**
+   * Look up an item by id in any lifecycle stage
+   */
+  getItem(id) {
+    return this.processing.get(id) ||
+      this.queue.find(item => item.id === id) ||
+      this.completed.get(id) ||
+      this.failed.get(id) ||
+      null;
+  }
+
+  /**
+   * Cancel a queued or processing item.
+   * Running work is signalled to stop; any result it still produces is discarded.
+   */
+  cancel(id, reason = 'Request cancelled') {
+    const index = this.queue.findIndex(item => item.id === id);
+    const item = index > -1 ? this.queue[index] : this.processing.get(id);
+    if (!item) return false;
+    
+    if (index > -1) {
+      this.queue.splice(index, 1);
+    }
+    
+    clearTimeout(item.timeoutId);
+    
+    item.status = 'cancelled';
+    item.failedAt = Date.now();
+    
+    this.processing.delete(id);
+    this.failed.set(id, item);
+    this.stats.cancelled++;
+    this.stats.processing = this.processing.size;
+    
+    const error = new ServiceError('CANCELLED', reason);
+    item.error = error;
+    
+    if (item.reject) {
+      item.reject(error);
+    }
+    item.controller.abort(error);
+    
+    // A processing slot may have been freed
+    this.processQueue();
+    return true;
+  }
+
+  /**
+   * Stop starting queued items. Running items finish; new items are still accepted.
+   */
+  pause() {
+    if (this.paused) return false;
+    this.paused = true;
+    console.log('Request queue paused');
+    return true;
+  }
+
+  /**
+   * Start processing queued items again
+   */
+  resume() {
+    if (!this.paused) return false;
+    this.paused = false;
+    console.log('Request queue resumed');
+    this.processQueue();
+    return true;
+  }
+
+  /**
+   * Cancel every waiting item; running items are left to finish.
+   * Returns the number of items cancelled.
+   */
+  drain(reason = 'Queue drained') {
+    const waiting = [...this.queue];
+    waiting.forEach(item => this.cancel(item.id, reason));
+    
+    if (waiting.length > 0) {
+      console.log(`Drained ${waiting.length} queued items`);
+    }
+    return waiting.length;
+  }
+
+  /**
+   * Change concurrency and rate limits at runtime. Only given values change;
+   * raising the limits starts waiting items straight away.
+   */
+  configure(settings = {}) {
+    if (settings.maxConcurrent !== undefined) {
+      this.maxConcurrent = settings.maxConcurrent;
+    }
+    if (settings.rateLimitMax !== undefined) {
+      this.rateLimiter.maxRequests = settings.rateLimitMax;
+    }
+    if (settings.rateLimitWindow !== undefined) {
+      this.rateLimiter.windowMs = settings.rateLimitWindow;
+    }
+    
+    this.processQueue();
+    return this.getSettings();
+  }
+
+  getSettings() {
+    return {
+      paused: this.paused,
+      maxConcurrent: this.maxConcurrent,
+      rateLimitMax: this.rateLimiter.maxRequests,
+      rateLimitWindow: this.rateLimiter.windowMs
+    };
   }
 
   /**
@@ -104,6 +280,8 @@ class RequestQueue {
    * Process items in the queue
    */
   async processQueue() {
+    if (this.paused) return;
+    
     // Process multiple items concurrently up to maxConcurrent
     const promises = [];
     
@@ -160,10 +338,15 @@ class RequestQueue {
       // Execute the request
       const result = await this.executeRequest(item);
       
+      // Discard results of items cancelled or timed out while running
+      if (item.status !== 'processing') return;
+      
       // Success
       this.handleSuccess(item, result);
       
     } catch (error) {
+      if (item.status !== 'processing') return;
+      
       // Handle failure
       this.handleFailure(item, error);
     }
@@ -175,12 +358,12 @@ class RequestQueue {
   async executeRequest(item) {
     // If callback provided, use it
     if (item.callback) {
-      return await item.callback(item.request);
+      return await item.callback(item.request, item.controller.signal, item.attempts);
     }
     
     // Otherwise, assume request is a function
     if (typeof item.request === 'function') {
-      return await item.request();
+      return await item.request(item.controller.signal, item.attempts);
     }
     
     throw new Error('Invalid request format. Must be a function or provide callback.');
@@ -221,9 +404,11 @@ class RequestQueue {
   handleFailure(item, error) {
     console.error(`Request ${item.id} failed:`, error.message);
     
-    // Check if we should retry
-    if (item.retries < item.maxRetries && this.isRetryable(error)) {
+    // Check if we should retry; a retry policy counts retries made inside the request too
+    const canRetry = item.attempts ? item.attempts.canRetry() : item.retries < item.maxRetries;
+    if (canRetry && this.isRetryable(error)) {
       item.retries++;
+      item.attempts?.record('queue');
       item.status = 'retrying';
       console.log(`Retrying request ${item.id} (attempt ${item.retries}/${item.maxRetries})`);
       
@@ -233,21 +418,7 @@ class RequestQueue {
       this.insertByPriority(item);
       
     } else {
-      // Final failure
-      clearTimeout(item.timeoutId);
-      
-      item.status = 'failed';
-      item.error = error;
-      item.failedAt = Date.now();
-      
-      this.processing.delete(item.id);
-      this.stats.failed++;
-      this.stats.processing = this.processing.size;
-      
-      // Reject promise
-      if (item.reject) {
-        item.reject(error);
-      }
+      this.fail(item, error);
     }
     
     // Continue processing queue
@@ -255,26 +426,59 @@ class RequestQueue {
   }
 
   /**
-   * Handle request timeout
+   * Record a final failure and reject the item's promise
+   */
+  fail(item, error) {
+    clearTimeout(item.timeoutId);
+    
+    item.status = 'failed';
+    item.error = error;
+    item.failedAt = Date.now();
+    
+    // Let callers report how much of the retry budget was spent. The ledger
+    // is final by now, so it replaces any count a retry layer attached
+    if (item.attempts && error instanceof Error) {
+      error.attempts = item.attempts.toJSON();
+    }
+    
+    this.processing.delete(item.id);
+    this.failed.set(item.id, item);
+    this.stats.failed++;
+    this.stats.processing = this.processing.size;
+    
+    // Reject promise
+    if (item.reject) {
+      item.reject(error);
+    }
+  }
+
+  /**
+   * Handle request timeout. The timeout covers the item's whole lifetime, so it
+   * is not retried; running work is aborted to free its resources.
    */
   handleTimeout(id) {
-    const item = this.processing.get(id) || this.queue.find(i => i.id === id);
+    const index = this.queue.findIndex(i => i.id === id);
+    const item = index > -1 ? this.queue[index] : this.processing.get(id);
     if (!item) return;
     
-    const error = new Error(`Request timeout after ${item.timeout}ms`);
-    error.code = 'TIMEOUT';
+    if (index > -1) {
+      this.queue.splice(index, 1);
+    }
+    
+    const error = new ServiceError('TIMEOUT', `Request timeout after ${item.timeout}ms`);
+    this.stats.timedOut++;
+    this.fail(item, error);
+    item.controller.abort(error);
     
-    this.handleFailure(item, error);
+    // A processing slot may have been freed
+    this.processQueue();
   }
 
   /**
    * Check if error is retryable
    */
   isRetryable(error) {
-    const retryableCodes = ['TIMEOUT', 'ECONNRESET', 'ETIMEDOUT'];
-    return retryableCodes.includes(error.code) || 
-           error.status >= 500 || 
-           error.status === 429;
+    return ServiceError.isRetryable(error) === true;
   }
 
   /**
@@ -330,7 +534,7 @@ class RequestQueue {
   }
 
   /**
-   * Clear completed items older than specified age
+   * Clear completed, failed and cancelled items older than specified age
    */
   clearCompleted(maxAge = 300000) {
     const cutoff = Date.now() - maxAge;
@@ -343,7 +547,17 @@ class RequestQueue {
       }
     }
     
-    console.log(`Cleared ${cleared} completed items from queue`);
+    for (const [id, item] of this.failed.entries()) {
+      if (item.failedAt < cutoff) {
+        this.failed.delete(id);
+        cleared++;
+      }
+    }
+    
+    if (cleared > 0) {
+      console.log(`Cleared ${cleared} completed items from queue`);
+    }
+    return cleared;
   }
 
   /**
@@ -354,6 +568,7 @@ class RequestQueue {
       waiting: this.queue.length,
       processing: this.processing.size,
       completed: this.completed.size,
+      paused: this.paused,
       canAcceptMore: this.queue.length < this.maxQueueSize,
       rateLimitRemaining: this.rateLimiter.maxRequests - this.rateLimiter.requests.length
     };
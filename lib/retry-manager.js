@@ -1,3 +1,5 @@
+import { ServiceError } from './service-error.js';
+
 /**
  * Advanced retry manager with exponential backoff, jitter, and intelligent retry decisions
  */
@@ -28,12 +30,24 @@ class RetryManager {
     };
   }
 
+  /**
+   * Run an operation, retrying retryable failures. Aborting `context.signal`
+   * stops further attempts and interrupts the backoff delay.
+   * 
+   * With `context.attempts` (a RetryAttempts ledger) the request's RetryPolicy
+   * sets the attempt limit, time budget and backoff instead of this manager's
+   * own settings, and retries are recorded in the ledger.
+   */
   async executeWithRetry(operation, context = {}) {
+    const { signal, attempts } = context;
+    const maxRetries = attempts ? attempts.policy.maxAttempts - 1 : this.maxRetries;
     let lastError;
     let attempt = 0;
     
-    while (attempt <= this.maxRetries) {
+    while (attempt <= maxRetries) {
       try {
+        signal?.throwIfAborted();
+        
         // Check retry budget
         if (attempt > 0 && !this.retryBudget.canRetry()) {
           throw new Error('Retry budget exhausted. Too many retries in time window.');
@@ -49,6 +63,11 @@ class RetryManager {
         return result;
         
       } catch (error) {
+        // Cancelled work is never retried
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+        
         lastError = error;
         
         // Record retry attempt
@@ -58,97 +77,77 @@ class RetryManager {
         
         // Check if error is retryable
         if (!this.isRetryable(error, attempt, context)) {
+          // Errors that were only out of attempts are reported as exhausted below
+          if (this.isExhausted(attempt, context) && ServiceError.isRetryable(error) !== false) {
+            break;
+          }
+          
           console.log(`Error is not retryable: ${error.message}`);
           throw error;
         }
         
         // Calculate delay with exponential backoff
-        const delay = this.calculateDelay(attempt, error);
+        const delay = this.calculateDelay(attempt, error, attempts?.policy);
+        
+        // The wait itself must fit in the request's time budget
+        if (attempts && !attempts.canRetry(delay)) {
+          console.log(`Retry policy budget exhausted after ${attempts.total} attempts`);
+          throw error;
+        }
+        attempts?.record('retryManager');
         
-        console.log(`Retry attempt ${attempt + 1}/${this.maxRetries} after ${delay}ms delay`);
+        console.log(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms delay`);
         console.log(`Error: ${error.message}`);
         
         // Wait before retry
-        await this.sleep(delay);
+        await this.sleep(delay, signal);
         
         attempt++;
       }
     }
     
     // All retries exhausted
-    const finalError = new Error(`Operation failed after ${this.maxRetries} retries: ${lastError.message}`);
+    const finalError = new Error(`Operation failed after ${attempt} retries: ${lastError.message}`);
     finalError.originalError = lastError;
-    finalError.attempts = attempt;
+    finalError.attempts = attempts ? attempts.toJSON() : attempt;
     throw finalError;
   }
 
-  isRetryable(error, attempt, context) {
-    // Don't retry if we've exhausted attempts
-    if (attempt >= this.maxRetries) {
-      return false;
-    }
-    
-    // Check error type and message for retryable conditions
-    const errorMessage = error.message || '';
-    
-    // Non-retryable errors
-    const nonRetryablePatterns = [
-      /video.*not.*found/i,
-      /private.*video/i,
-      /removed.*video/i,
-      /transcript.*not.*available/i,
-      /no.*captions/i,
-      /invalid.*video.*id/i,
-      /authentication.*failed/i,
-      /forbidden/i,
-      /unauthorized/i
-    ];
-    
-    if (nonRetryablePatterns.some(pattern => pattern.test(errorMessage))) {
+  /**
+   * Whether no attempts are left, here or across the request's layers
+   */
+  isExhausted(attempt, context = {}) {
+    return context.attempts ? !context.attempts.canRetry() : attempt >= this.maxRetries;
+  }
+
+  isRetryable(error, attempt, context = {}) {
+    // Don't retry if we've exhausted attempts, here or across the request's layers
+    if (this.isExhausted(attempt, context)) {
       return false;
     }
     
-    // Always retry these errors
-    const alwaysRetryPatterns = [
-      /timeout/i,
-      /network/i,
-      /ECONNRESET/i,
-      /ETIMEDOUT/i,
-      /socket.*hang.*up/i,
-      /navigation.*failed/i,
-      /crashed/i,
-      /disconnected/i
-    ];
-    
-    if (alwaysRetryPatterns.some(pattern => pattern.test(errorMessage))) {
-      return true;
-    }
-    
-    // Check HTTP status codes if available
-    if (error.status) {
-      // Retry server errors and rate limits
-      if (error.status >= 500 || error.status === 429) {
-        return true;
-      }
-      // Don't retry client errors (except 429)
-      if (error.status >= 400 && error.status < 500) {
-        return false;
-      }
+    // Classified errors (taxonomy codes, network codes, HTTP statuses) decide directly
+    const retryable = ServiceError.isRetryable(error);
+    if (retryable !== undefined) {
+      return retryable;
     }
     
     // Default to retry for unknown errors on early attempts
     return attempt < 2;
   }
 
-  calculateDelay(attempt, error) {
+  /**
+   * Backoff before the next attempt, using a RetryPolicy's settings when given
+   */
+  calculateDelay(attempt, error, policy = this) {
     // Base exponential backoff
     let delay = Math.min(
-      this.baseDelay * Math.pow(this.factor, attempt),
-      this.maxDelay
+      policy.baseDelay * Math.pow(policy.factor, attempt),
+      policy.maxDelay
     );
     
     // Special handling for rate limits
-    if (error.status === 429 || /rate.*limit/i.test(error.message)) {
+    if (error.status === 429 || error.code === 'RATE_LIMITED') {
       // Check for Retry-After header
       const retryAfter = error.retryAfter || error.headers?.['retry-after'];
       if (retryAfter) {
@@ -160,7 +159,7 @@ class RetryManager {
     }
     
     // Add jitter to prevent thundering herd
-    if (this.jitter) {
+    if (policy.jitter) {
       const jitterAmount = delay * 0.2; // 20% jitter
       delay = delay + (Math.random() * jitterAmount * 2 - jitterAmount);
     }
@@ -168,8 +167,19 @@ class RetryManager {
     return Math.floor(delay);
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   getStats() {
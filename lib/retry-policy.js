@@ -0,0 +1,109 @@
+/**
+ * Retry policy
+ * Declares how hard a request may be retried: total attempts, a time budget
+ * shared by all of them, the backoff between them, and how many rounds the UI
+ * detector may search for the transcript button within one attempt.
+ *
+ * `start()` opens a RetryAttempts ledger for one request. The request queue,
+ * RetryManager and YouTubeUIDetector all check and record retries against that
+ * same ledger, so their retries add up to the budget instead of multiplying.
+ */
+class RetryPolicy {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || 4; // First attempt plus retries
+    this.timeBudget = options.timeBudget || 90000; // 90 seconds across all attempts
+    this.baseDelay = options.baseDelay || 1000;
+    this.maxDelay = options.maxDelay || 30000;
+    this.factor = options.factor || 2;
+    this.jitter = options.jitter !== false;
+    this.uiAttempts = options.uiAttempts || 3;
+    this.uiRetryDelay = options.uiRetryDelay ?? 2000;
+  }
+
+  /**
+   * Copy of this policy with the given limits lowered, never raised, so a
+   * request can ask for less than its priority allows but not more
+   */
+  restrict(limits = {}) {
+    const lower = (name) => (limits[name] > 0 ? Math.min(limits[name], this[name]) : this[name]);
+    
+    return new RetryPolicy({
+      ...this,
+      maxAttempts: lower('maxAttempts'),
+      timeBudget: lower('timeBudget'),
+      uiAttempts: lower('uiAttempts')
+    });
+  }
+
+  /**
+   * Open the ledger for one request
+   */
+  start() {
+    return new RetryAttempts(this);
+  }
+
+  toJSON() {
+    return {
+      maxAttempts: this.maxAttempts,
+      timeBudget: this.timeBudget,
+      uiAttempts: this.uiAttempts
+    };
+  }
+}
+
+/**
+ * Attempts made for one request under a RetryPolicy, by the layer that retried
+ */
+class RetryAttempts {
+  constructor(policy) {
+    this.policy = policy;
+    this.startedAt = Date.now();
+    this.retries = {
+      queue: 0,
+      retryManager: 0,
+      uiDetector: 0
+    };
+  }
+
+  /**
+   * Runs of the whole operation: the first plus every queue and RetryManager retry.
+   * UI detector rounds happen within a run and only count against the time budget.
+   */
+  get total() {
+    return 1 + this.retries.queue + this.retries.retryManager;
+  }
+
+  elapsed() {
+    return Date.now() - this.startedAt;
+  }
+
+  /**
+   * Whether the time budget still has room after waiting `delay` ms
+   */
+  hasTime(delay = 0) {
+    return this.elapsed() + delay < this.policy.timeBudget;
+  }
+
+  /**
+   * Whether another run of the operation fits the budget after waiting `delay` ms
+   */
+  canRetry(delay = 0) {
+    return this.total < this.policy.maxAttempts && this.hasTime(delay);
+  }
+
+  record(layer) {
+    this.retries[layer]++;
+  }
+
+  toJSON() {
+    return {
+      total: this.total,
+      maxAttempts: this.policy.maxAttempts,
+      retries: { ...this.retries },
+      elapsed: this.elapsed(),
+      timeBudget: this.policy.timeBudget
+    };
+  }
+}
+
+export { RetryPolicy, RetryAttempts };
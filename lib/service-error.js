@@ -0,0 +1,87 @@
+/**
+ * Service error taxonomy
+ * Stable error codes surfaced to API clients, each with the HTTP status it maps to
+ * and whether retrying the same request can help
+ */
+const ERROR_CODES = {
+  // Request validation
+  VIDEO_ID_REQUIRED: { status: 400, retryable: false },
+  INVALID_VIDEO_ID: { status: 400, retryable: false },
+  UNSUPPORTED_URL: { status: 400, retryable: false },
+  INVALID_CALLBACK_URL: { status: 400, retryable: false },
+
+  // Video state
+  VIDEO_NOT_FOUND: { status: 404, retryable: false },
+  PRIVATE_VIDEO: { status: 403, retryable: false },
+  AGE_RESTRICTED: { status: 403, retryable: false },
+  MEMBERS_ONLY: { status: 403, retryable: false },
+  VIDEO_UNAVAILABLE: { status: 403, retryable: false },
+  NO_TRANSCRIPT: { status: 404, retryable: false },
+
+  // Playlist and channel expansion
+  INVALID_SOURCE: { status: 400, retryable: false },
+  SOURCE_NOT_FOUND: { status: 404, retryable: false },
+
+  // Extraction
+  UI_CHANGED: { status: 502, retryable: true },
+  TIMEOUT: { status: 504, retryable: true },
+  RATE_LIMITED: { status: 429, retryable: true },
+
+  // Service protection
+  CIRCUIT_OPEN: { status: 503, retryable: false },
+  QUEUE_FULL: { status: 503, retryable: false },
+  CANCELLED: { status: 409, retryable: false },
+
+  // Cache storage backend; handled inside the cache, never returned by the API
+  STORAGE_UNAVAILABLE: { status: 503, retryable: true }
+};
+
+// Transient socket-level failures reported by Node
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+class ServiceError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+    this.status = ERROR_CODES[code]?.status || 500;
+    Object.assign(this, details);
+  }
+
+  /**
+   * Resolve the taxonomy code of an error, looking through wrapping errors
+   */
+  static codeOf(error) {
+    if (!error) return null;
+    if (ERROR_CODES[error.code]) return error.code;
+    if (error.name === 'TimeoutError') return 'TIMEOUT';
+    return ServiceError.codeOf(error.originalError);
+  }
+
+  /**
+   * HTTP status for an error: its code's status, else any explicit status, else 500
+   */
+  static statusOf(error) {
+    const code = ServiceError.codeOf(error);
+    if (code) return ERROR_CODES[code].status;
+    return error.status || error.originalError?.status || 500;
+  }
+
+  /**
+   * Whether retrying can help. Returns undefined when the error is unclassified.
+   * Only the error itself is inspected: a wrapping error means retries already ran.
+   */
+  static isRetryable(error) {
+    if (ERROR_CODES[error.code]) return ERROR_CODES[error.code].retryable;
+    if (error.name === 'TimeoutError') return true;
+    if (NETWORK_ERROR_CODES.includes(error.code)) return true;
+    
+    if (error.status) {
+      return error.status >= 500 || error.status === 429 || error.status === 408;
+    }
+    
+    return undefined;
+  }
+}
+
+export { ServiceError, ERROR_CODES };
@@ -0,0 +1,105 @@
+/**
+ * Single-flight request coalescing
+ * Concurrent calls for the same key share one in-flight promise, so a burst of
+ * requests for an uncached video triggers a single extraction
+ *
+ * Callers may pass an AbortSignal. An aborted caller stops waiting right away;
+ * the shared operation is only aborted once every caller has gone.
+ */
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map();
+    this.stats = {
+      executed: 0,
+      coalesced: 0,
+      aborted: 0
+    };
+  }
+
+  /**
+   * Run `operation(signal)` for a key, or join the call already running for it
+   */
+  run(key, operation, signal) {
+    let flight = this.inFlight.get(key);
+    
+    if (flight) {
+      this.stats.coalesced++;
+    } else {
+      this.stats.executed++;
+      
+      const controller = new AbortController();
+      flight = { key, controller, waiters: 0 };
+      flight.promise = Promise.resolve()
+        .then(() => operation(controller.signal))
+        .finally(() => {
+          if (this.inFlight.get(key) === flight) {
+            this.inFlight.delete(key);
+          }
+        });
+      
+      this.inFlight.set(key, flight);
+    }
+    
+    return this.join(flight, signal);
+  }
+
+  /**
+   * Wait for a flight until it settles or the caller's signal aborts
+   */
+  join(flight, signal) {
+    flight.waiters++;
+    
+    // Callers without a signal keep the flight alive until it settles
+    if (!signal) return flight.promise;
+    
+    if (signal.aborted) {
+      this.leave(flight, signal.reason);
+      return Promise.reject(signal.reason);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.leave(flight, signal.reason);
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      
+      flight.promise
+        .finally(() => signal.removeEventListener('abort', onAbort))
+        .then(resolve, reject);
+    });
+  }
+
+  /**
+   * Drop a waiter; abort the operation when nobody is left waiting for it
+   */
+  leave(flight, reason) {
+    flight.waiters--;
+    if (flight.waiters > 0) return;
+    
+    // Later callers start a fresh operation instead of joining an aborted one
+    if (this.inFlight.get(flight.key) === flight) {
+      this.inFlight.delete(flight.key);
+    }
+    
+    this.stats.aborted++;
+    flight.controller.abort(reason);
+    flight.promise.catch(() => {});
+  }
+
+  /**
+   * Check whether a call is running for a key
+   */
+  has(key) {
+    return this.inFlight.has(key);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      inFlight: this.inFlight.size
+    };
+  }
+}
+
+export { SingleFlight };
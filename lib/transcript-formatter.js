@@ -0,0 +1,118 @@
+/**
+ * Transcript Formatter
+ * Renders canonical transcript results (segments with start/duration in seconds)
+ * as subtitle and text formats
+ */
+class TranscriptFormatter {
+  constructor() {
+    this.formats = {
+      json: { contentType: 'application/json; charset=utf-8', render: result => JSON.stringify(result) },
+      srt: { contentType: 'application/x-subrip; charset=utf-8', render: result => this.toSRT(result.transcript) },
+      vtt: { contentType: 'text/vtt; charset=utf-8', render: result => this.toVTT(result.transcript) },
+      txt: { contentType: 'text/plain; charset=utf-8', render: result => this.toText(result.transcript) },
+      tsv: { contentType: 'text/tab-separated-values; charset=utf-8', render: result => this.toTSV(result.transcript) }
+    };
+  }
+
+  /**
+   * Check whether a format name is supported
+   */
+  isSupported(format) {
+    return Object.prototype.hasOwnProperty.call(this.formats, format);
+  }
+
+  /**
+   * Render a transcript result in the given format
+   */
+  format(result, format = 'json') {
+    if (!this.isSupported(format)) {
+      throw new Error(`Unsupported format: ${format}`);
+    }
+    
+    const { contentType, render } = this.formats[format];
+    return { contentType, body: render(result) };
+  }
+
+  /**
+   * SubRip: numbered cues with HH:MM:SS,mmm timestamps
+   */
+  toSRT(segments = []) {
+    return segments
+      .map((segment, index) => [
+        index + 1,
+        `${this.formatTime(segment.start, ',')} --> ${this.formatTime(this.getEnd(segment), ',')}`,
+        this.cleanText(segment.text)
+      ].join('\n'))
+      .join('\n\n') + '\n';
+  }
+
+  /**
+   * WebVTT: header followed by cues with HH:MM:SS.mmm timestamps
+   */
+  toVTT(segments = []) {
+    const cues = segments.map(segment => [
+      `${this.formatTime(segment.start, '.')} --> ${this.formatTime(this.getEnd(segment), '.')}`,
+      this.escapeVTT(this.cleanText(segment.text))
+    ].join('\n'));
+    
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+  }
+
+  /**
+   * Plain text: one segment per line
+   */
+  toText(segments = []) {
+    return segments.map(segment => this.cleanText(segment.text)).join('\n') + '\n';
+  }
+
+  /**
+   * Tab-separated values with start/end in seconds
+   */
+  toTSV(segments = []) {
+    const rows = segments.map(segment => [
+      segment.start,
+      this.getEnd(segment),
+      this.cleanText(segment.text).replace(/\t/g, ' ')
+    ].join('\t'));
+    
+    return ['start\tend\ttext', ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * Resolve a segment's end time
+   */
+  getEnd(segment) {
+    if (typeof segment.end === 'number') return segment.end;
+    return segment.start + (segment.duration || 0);
+  }
+
+  /**
+   * Format seconds as HH:MM:SS<separator>mmm
+   */
+  formatTime(seconds, separator) {
+    const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+  }
+
+  /**
+   * Collapse line breaks so each segment stays a single cue line
+   */
+  cleanText(text) {
+    return (text || '').replace(/\s*\n\s*/g, ' ').replace(/-->/g, '->').trim();
+  }
+
+  /**
+   * Escape characters that WebVTT treats as markup
+   */
+  escapeVTT(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
+
+export { TranscriptFormatter };
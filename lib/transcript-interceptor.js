@@ -0,0 +1,314 @@
+/**
+ * Transcript Interceptor
+ * Captures caption data (timedtext / get_transcript) from network responses
+ * so transcripts can be read as structured data instead of scraped from the DOM
+ */
+class TranscriptInterceptor {
+  constructor(options = {}) {
+    this.responseTimeout = options.responseTimeout || 5000;
+    
+    // URL patterns for caption payloads
+    this.patterns = {
+      timedtext: /\/api\/timedtext/,
+      getTranscript: /\/youtubei\/v1\/get_transcript/
+    };
+    
+    this.captures = [];
+    this.pending = new Set();
+  }
+
+  /**
+   * Start listening for caption responses on a page
+   */
+  attach(page) {
+    this.handler = response => this.handleResponse(response);
+    page.on('response', this.handler);
+  }
+
+  /**
+   * Stop listening for caption responses
+   */
+  detach(page) {
+    if (this.handler && page.off) {
+      page.off('response', this.handler);
+    }
+    this.handler = null;
+  }
+
+  /**
+   * Inspect a response and record it if it carries caption data
+   */
+  handleResponse(response) {
+    const url = response.url();
+    const type = this.patterns.timedtext.test(url) ? 'timedtext'
+      : this.patterns.getTranscript.test(url) ? 'get_transcript'
+      : null;
+    
+    if (!type) return;
+    
+    const task = response.text()
+      .then(body => {
+        const segments = this.parse(type, body);
+        const params = new URL(url).searchParams;
+        
+        this.captures.push({
+          type,
+          url,
+          languageCode: params.get('lang') || params.get('tlang') || null,
+          kind: params.get('kind') || null,
+          segments,
+          capturedAt: Date.now()
+        });
+        
+        console.log(`[Interceptor] Captured ${segments.length} segments from ${type}`);
+      })
+      .catch(error => {
+        console.log(`[Interceptor] Could not read ${type} response:`, error.message);
+      })
+      .finally(() => this.pending.delete(task));
+    
+    this.pending.add(task);
+  }
+
+  /**
+   * Fetch a caption track from inside the page so the listener captures it
+   */
+  async requestTrack(page, track) {
+    if (!track?.baseUrl) return;
+    
+    const url = new URL(track.baseUrl, 'https://www.youtube.com');
+    url.searchParams.set('fmt', 'json3');
+    
+    try {
+      await page.evaluate(async trackUrl => {
+        await fetch(trackUrl, { credentials: 'include' }).then(r => r.text());
+      }, url.toString());
+      await this.flush();
+    } catch (error) {
+      console.log('[Interceptor] Caption track request failed:', error.message);
+    }
+  }
+
+  /**
+   * Wait for in-flight response bodies to be read
+   */
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+
+  /**
+   * Wait until caption segments have been captured or the timeout expires
+   */
+  async waitForSegments(options = {}) {
+    const timeout = options.timeout || this.responseTimeout;
+    const startTime = Date.now();
+    
+    while (Date.now() - startTime < timeout) {
+      await this.flush();
+      
+      const segments = this.getSegments(options);
+      if (segments.length > 0) return segments;
+      
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    
+    await this.flush();
+    return this.getSegments(options);
+  }
+
+  /**
+   * Get segments from the most recent matching capture. `kind` ('auto' or
+   * 'manual') keeps an auto-generated track from standing in for an uploaded
+   * one in the same language, and vice versa
+   */
+  getSegments(options = {}) {
+    const since = options.since || 0;
+    const wanted = options.languageCode?.toLowerCase();
+    
+    const matches = this.captures.filter(capture => {
+      if (capture.segments.length === 0 || capture.capturedAt < since) return false;
+      // Auto-generated timedtext URLs say kind=asr and uploaded tracks have no kind;
+      // get_transcript carries neither language nor kind, so trust the panel state
+      if (options.kind && capture.type === 'timedtext' &&
+          (capture.kind === 'asr') !== (options.kind === 'auto')) return false;
+      if (!wanted || !capture.languageCode) return true;
+      return capture.languageCode.toLowerCase() === wanted;
+    });
+    
+    return matches.length > 0 ? matches[matches.length - 1].segments : [];
+  }
+
+  /**
+   * Parse a caption payload into { text, start, duration } segments (seconds)
+   */
+  parse(type, body) {
+    if (!body || !body.trim()) return [];
+    
+    try {
+      if (type === 'get_transcript') {
+        return this.parseGetTranscript(JSON.parse(body));
+      }
+      
+      const trimmed = body.trim();
+      if (trimmed.startsWith('{')) {
+        return this.parseJson3(JSON.parse(trimmed));
+      }
+      return this.parseXml(trimmed);
+    } catch (error) {
+      console.log(`[Interceptor] Failed to parse ${type} payload:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Parse timedtext fmt=json3
+   */
+  parseJson3(data) {
+    return (data.events || [])
+      .filter(event => Array.isArray(event.segs))
+      .map(event => ({
+        text: this.normalizeText(event.segs.map(seg => seg.utf8 || '').join('')),
+        start: (event.tStartMs || 0) / 1000,
+        duration: (event.dDurationMs || 0) / 1000
+      }))
+      .filter(segment => segment.text);
+  }
+
+  /**
+   * Parse timedtext XML (srv3 <p t d> or legacy <text start dur>)
+   */
+  parseXml(xml) {
+    const segments = [];
+    const srv3 = /<p\b([^>]*)>([\s\S]*?)<\/p>/g;
+    const legacy = /<text\b([^>]*)>([\s\S]*?)<\/text>/g;
+    
+    let match;
+    while ((match = srv3.exec(xml)) !== null) {
+      const attrs = this.parseAttributes(match[1]);
+      segments.push({
+        text: this.normalizeText(this.decodeEntities(match[2].replace(/<[^>]+>/g, ''))),
+        start: Number(attrs.t || 0) / 1000,
+        duration: Number(attrs.d || 0) / 1000
+      });
+    }
+    
+    if (segments.length === 0) {
+      while ((match = legacy.exec(xml)) !== null) {
+        const attrs = this.parseAttributes(match[1]);
+        segments.push({
+          text: this.normalizeText(this.decodeEntities(match[2].replace(/<[^>]+>/g, ''))),
+          start: Number(attrs.start || 0),
+          duration: Number(attrs.dur || 0)
+        });
+      }
+    }
+    
+    return segments.filter(segment => segment.text);
+  }
+
+  /**
+   * Parse a youtubei get_transcript response
+   */
+  parseGetTranscript(data) {
+    const segments = [];
+    
+    this.walk(data, node => {
+      // Current layout: transcriptSegmentRenderer { startMs, endMs, snippet }
+      const segment = node.transcriptSegmentRenderer;
+      if (segment) {
+        const start = Number(segment.startMs || 0);
+        const end = Number(segment.endMs || start);
+        segments.push({
+          text: this.normalizeText(this.readText(segment.snippet)),
+          start: start / 1000,
+          duration: (end - start) / 1000
+        });
+        return true;
+      }
+      
+      // Older layout: transcriptCueRenderer { cue, startOffsetMs, durationMs }
+      const cue = node.transcriptCueRenderer;
+      if (cue) {
+        segments.push({
+          text: this.normalizeText(this.readText(cue.cue)),
+          start: Number(cue.startOffsetMs || 0) / 1000,
+          duration: Number(cue.durationMs || 0) / 1000
+        });
+        return true;
+      }
+      
+      return false;
+    });
+    
+    return segments.filter(segment => segment.text);
+  }
+
+  /**
+   * Depth-first walk; the visitor returns true to skip a node's children
+   */
+  walk(node, visit) {
+    if (!node || typeof node !== 'object') return;
+    
+    if (Array.isArray(node)) {
+      node.forEach(child => this.walk(child, visit));
+      return;
+    }
+    
+    if (visit(node)) return;
+    
+    for (const value of Object.values(node)) {
+      this.walk(value, visit);
+    }
+  }
+
+  /**
+   * Read a YouTube text object ({ simpleText } or { runs })
+   */
+  readText(textObject) {
+    if (!textObject) return '';
+    if (textObject.simpleText) return textObject.simpleText;
+    return (textObject.runs || []).map(run => run.text || '').join('');
+  }
+
+  /**
+   * Parse XML attributes into a plain object
+   */
+  parseAttributes(source) {
+    const attrs = {};
+    const pattern = /(\w+)="([^"]*)"/g;
+    let match;
+    
+    while ((match = pattern.exec(source)) !== null) {
+      attrs[match[1]] = match[2];
+    }
+    
+    return attrs;
+  }
+
+  /**
+   * Decode XML/HTML entities in caption text. Numeric references may be
+   * outside the BMP (emoji); ones that aren't valid code points are kept as-is
+   */
+  decodeEntities(text) {
+    const fromCode = (entity, code) => (code <= 0x10ffff ? String.fromCodePoint(code) : entity);
+    
+    return text
+      .replace(/&#(\d+);/g, (entity, code) => fromCode(entity, Number(code)))
+      .replace(/&#x([0-9a-f]+);/gi, (entity, code) => fromCode(entity, parseInt(code, 16)))
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#39;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Collapse whitespace and line breaks
+   */
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+}
+
+export { TranscriptInterceptor };
@@ -0,0 +1,128 @@
+import { ServiceError } from './service-error.js';
+
+/**
+ * Video ID normalizer
+ * Extracts the 11-character YouTube video ID (and any start-time hint)
+ * from bare IDs and every common YouTube URL shape
+ */
+class VideoIdNormalizer {
+  constructor() {
+    this.idPattern = /^[A-Za-z0-9_-]{11}$/;
+    
+    this.hosts = [
+      'youtube.com',
+      'www.youtube.com',
+      'm.youtube.com',
+      'music.youtube.com',
+      'gaming.youtube.com',
+      'youtube-nocookie.com',
+      'www.youtube-nocookie.com',
+      'youtu.be'
+    ];
+    
+    // Path prefixes followed by the video ID: /shorts/ID, /embed/ID, ...
+    this.pathPrefixes = ['shorts', 'embed', 'v', 'e', 'live'];
+  }
+
+  /**
+   * Normalize input into { videoId, startTime, isShort }.
+   * Throws a 400 ServiceError with a stable `code` for invalid input.
+   */
+  normalize(input) {
+    if (input === undefined || input === null || input === '') {
+      throw new ServiceError('VIDEO_ID_REQUIRED', 'Video ID is required');
+    }
+    
+    if (typeof input !== 'string') {
+      throw new ServiceError('INVALID_VIDEO_ID', 'Video ID must be a string');
+    }
+    
+    const value = input.trim();
+    
+    if (this.idPattern.test(value)) {
+      return { videoId: value, startTime: null, isShort: false };
+    }
+    
+    // Anything else must be a YouTube URL
+    if (!/[/.]/.test(value)) {
+      throw new ServiceError('INVALID_VIDEO_ID', `Invalid video ID: ${value}`);
+    }
+    
+    let url;
+    try {
+      url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+    } catch {
+      throw new ServiceError('INVALID_VIDEO_ID', `Invalid video ID or URL: ${value}`);
+    }
+    
+    if (!this.hosts.includes(url.hostname.toLowerCase())) {
+      throw new ServiceError('UNSUPPORTED_URL', `Not a YouTube URL: ${value}`);
+    }
+    
+    const { videoId, isShort } = this.extractFromUrl(url);
+    
+    if (!videoId) {
+      throw new ServiceError('UNSUPPORTED_URL', `Could not find a video ID in URL: ${value}`);
+    }
+    
+    if (!this.idPattern.test(videoId)) {
+      throw new ServiceError('INVALID_VIDEO_ID', `Invalid video ID: ${videoId}`);
+    }
+    
+    return { videoId, startTime: this.extractStartTime(url), isShort };
+  }
+
+  /**
+   * Find the video ID in a parsed YouTube URL
+   */
+  extractFromUrl(url) {
+    const segments = url.pathname.split('/').filter(Boolean);
+    
+    // youtu.be/ID
+    if (url.hostname.toLowerCase() === 'youtu.be') {
+      return { videoId: segments[0] || null, isShort: false };
+    }
+    
+    // /watch?v=ID
+    if (url.searchParams.get('v')) {
+      return { videoId: url.searchParams.get('v'), isShort: false };
+    }
+    
+    // /shorts/ID, /embed/ID, /v/ID, /e/ID, /live/ID
+    if (this.pathPrefixes.includes(segments[0]) && segments[1]) {
+      return { videoId: segments[1], isShort: segments[0] === 'shorts' };
+    }
+    
+    // /attribution_link?u=/watch?v=ID
+    const redirect = url.searchParams.get('u');
+    if (segments[0] === 'attribution_link' && redirect) {
+      return this.extractFromUrl(new URL(redirect, 'https://www.youtube.com'));
+    }
+    
+    return { videoId: null, isShort: false };
+  }
+
+  /**
+   * Read t= / start= (query or fragment) as seconds.
+   * Accepts "90", "90s", "1m30s" and "1h2m3s".
+   */
+  extractStartTime(url) {
+    const fragment = new URLSearchParams(url.hash.replace(/^#/, ''));
+    const raw = url.searchParams.get('t') || url.searchParams.get('start') ||
+      fragment.get('t') || fragment.get('start');
+    
+    if (!raw) return null;
+    
+    if (/^\d+s?$/.test(raw)) {
+      return parseInt(raw, 10);
+    }
+    
+    const match = raw.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!match || !match[0]) return null;
+    
+    const [, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+}
+
+export { VideoIdNormalizer };
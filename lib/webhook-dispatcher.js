@@ -0,0 +1,245 @@
+import { createHmac, randomUUID } from 'crypto';
+import { lookup } from 'dns/promises';
+import net from 'net';
+import { RetryManager } from './retry-manager.js';
+import { ServiceError } from './service-error.js';
+
+// Addresses a callback may not reach: unspecified, private (RFC 1918), carrier-grade
+// NAT, loopback, link-local (cloud metadata lives at 169.254.169.254) and unique-local.
+// BlockList matches IPv4-mapped IPv6 addresses against the IPv4 subnets.
+const PRIVATE_ADDRESSES = new net.BlockList();
+PRIVATE_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+PRIVATE_ADDRESSES.addAddress('::', 'ipv6');
+PRIVATE_ADDRESSES.addAddress('::1', 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+const isPrivateAddress = (address) =>
+  PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Webhook dispatcher for delivering extraction results to client callbacks
+ * Signs payloads with HMAC-SHA256 and retries with RetryManager backoff.
+ * Callbacks may only reach public addresses, checked again after DNS resolution
+ * before every attempt. With `allowedHosts` set, only those hosts are accepted,
+ * and they are trusted even when internal.
+ */
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.secret = options.secret || '';
+    this.maxAttempts = options.maxAttempts || 5;
+    this.timeout = options.timeout || 10000;
+    this.historySize = options.historySize || 100;
+    this.retryManager = options.retryManager || new RetryManager({ baseDelay: 1000 });
+    this.allowedHosts = new Set((options.allowedHosts || []).map(host => host.toLowerCase()));
+    
+    // Recent deliveries, newest last
+    this.deliveries = [];
+    
+    this.stats = {
+      total: 0,
+      delivered: 0,
+      failed: 0,
+      pending: 0,
+      attempts: 0
+    };
+  }
+
+  /**
+   * Deliver a payload to a callback URL. Resolves with the delivery record
+   * once it succeeds or all attempts are exhausted; never rejects.
+   */
+  async deliver(url, event, data) {
+    const delivery = {
+      id: randomUUID(),
+      url,
+      event,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      deliveredAt: null
+    };
+    
+    this.record(delivery);
+    this.stats.total++;
+    this.stats.pending++;
+    
+    const body = JSON.stringify({
+      id: delivery.id,
+      event,
+      createdAt: delivery.createdAt,
+      data
+    });
+    
+    for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+      const error = await this.attempt(url, body, delivery);
+      
+      if (!error) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        this.stats.delivered++;
+        this.stats.pending--;
+        return delivery;
+      }
+      
+      if (!this.isRetryable(error) || attempt === this.maxAttempts - 1) {
+        break;
+      }
+      
+      const delay = this.retryManager.calculateDelay(attempt, error);
+      console.log(`Webhook ${delivery.id} attempt ${attempt + 1} failed, retrying in ${delay}ms`);
+      await this.retryManager.sleep(delay);
+    }
+    
+    delivery.status = 'failed';
+    this.stats.failed++;
+    this.stats.pending--;
+    console.error(`Webhook ${delivery.id} to ${url} failed after ${delivery.attempts.length} attempts`);
+    
+    return delivery;
+  }
+
+  /**
+   * Check a callback URL without resolving it: http(s), an allowed host, and
+   * not a private address literal. Returns the hostname; throws
+   * INVALID_CALLBACK_URL otherwise.
+   */
+  checkUrl(url) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // Reported below with the other malformed URLs
+    }
+    
+    if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+      throw new ServiceError('INVALID_CALLBACK_URL', 'Callback URL must be an http(s) URL');
+    }
+    
+    // IPv6 literals keep their brackets in URL.hostname
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    
+    if (this.allowedHosts.size > 0) {
+      if (!this.allowedHosts.has(hostname)) {
+        throw new ServiceError('INVALID_CALLBACK_URL', `Callback host ${hostname} is not allowed`);
+      }
+    } else if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+      throw new ServiceError('INVALID_CALLBACK_URL', 'Callback URL must not point to a private address');
+    }
+    
+    return hostname;
+  }
+
+  /**
+   * Check a callback URL including every address its host resolves to
+   */
+  async checkDestination(url) {
+    const hostname = this.checkUrl(url);
+    if (this.allowedHosts.has(hostname) || net.isIP(hostname)) return;
+    
+    const addresses = await lookup(hostname, { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new ServiceError('INVALID_CALLBACK_URL', `Callback host ${hostname} resolves to a private address`);
+    }
+  }
+
+  /**
+   * Make a single POST; returns an error on failure, null on success
+   */
+  async attempt(url, body, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+    this.stats.attempts++;
+    
+    try {
+      // Resolved again on every attempt, since DNS may change between them
+      await this.checkDestination(url);
+      
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'playwright-transcript-service',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${this.sign(body, timestamp)}`
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      
+      delivery.attempts.push({
+        statusCode: response.status,
+        duration: Date.now() - startTime,
+        at: new Date().toISOString()
+      });
+      
+      if (response.ok) return null;
+      
+      const error = new Error(`Webhook responded with HTTP ${response.status}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after');
+      return error;
+    
+    } catch (error) {
+      delivery.attempts.push({
+        error: error.message,
+        duration: Date.now() - startTime,
+        at: new Date().toISOString()
+      });
+      return error;
+    }
+  }
+
+  /**
+   * HMAC-SHA256 over "<timestamp>.<body>"
+   */
+  sign(body, timestamp) {
+    return createHmac('sha256', this.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Network errors, timeouts, 5xx and 429 are retried; other 4xx are not
+   */
+  isRetryable(error) {
+    if (!error.status) return true;
+    return error.status >= 500 || error.status === 429 || error.status === 408;
+  }
+
+  /**
+   * Keep a bounded history of deliveries
+   */
+  record(delivery) {
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.historySize) {
+      this.deliveries.shift();
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      recent: this.deliveries.slice(-10).map(delivery => ({
+        id: delivery.id,
+        url: delivery.url,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts.length,
+        lastAttempt: delivery.attempts[delivery.attempts.length - 1] || null,
+        createdAt: delivery.createdAt,
+        deliveredAt: delivery.deliveredAt
+      }))
+    };
+  }
+}
+
+export { WebhookDispatcher };
@@ -1,3 +1,5 @@
+import { ServiceError } from './service-error.js';
+
 /**
  * YouTube UI detector - Handles multiple YouTube UI variations and changes
  * Uses multiple strategies to find transcript button across different layouts
@@ -63,6 +65,7 @@ class YouTubeUIDetector {
       // Transcript panel selectors
       transcriptPanel: [
         'ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-transcript"]',
+        'ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-searchable-transcript"]',
         'ytd-transcript-renderer',
         'ytd-transcript-search-panel-renderer',
         '#panels ytd-engagement-panel-section-list-renderer',
@@ -80,6 +83,55 @@ class YouTubeUIDetector {
         '.ytd-transcript-segment-renderer',
         'div[class*="transcript-segment"]',
         'yt-formatted-string.segment-text'
+      ],
+      
+      // Language dropdown in the transcript panel footer
+      languageMenu: [
+        'ytd-transcript-footer-renderer yt-sort-filter-sub-menu-renderer tp-yt-paper-menu-button',
+        'ytd-transcript-footer-renderer tp-yt-paper-menu-button',
+        'ytd-transcript-footer-renderer yt-dropdown-menu',
+        'ytd-transcript-footer-renderer #menu-trigger'
+      ],
+      
+      // Language options once the dropdown is open
+      languageMenuItem: [
+        'ytd-transcript-footer-renderer tp-yt-paper-listbox a',
+        'ytd-transcript-footer-renderer tp-yt-paper-item',
+        'tp-yt-paper-listbox [role="option"]'
+      ]
+    };
+    
+    // Shorts player layout: no #description expander, ytd-menu-renderer
+    // action row or ytd-watch-flexy, so the transcript is reached through the
+    // overlay's menu and the structured description panel
+    this.shortsSelectors = {
+      page: [
+        'ytd-shorts',
+        'ytd-reel-video-renderer[is-active]',
+        '#shorts-player'
+      ],
+      
+      // Three-dots button in the active Short's action bar
+      menuButton: [
+        'ytd-reel-video-renderer[is-active] #menu-button button',
+        'ytd-reel-player-overlay-renderer #menu-button button',
+        'ytd-shorts #menu-button button',
+        'ytd-shorts button[aria-label="More actions"]'
+      ],
+      
+      // Menu entry that opens the description panel
+      descriptionItem: [
+        'ytd-menu-service-item-renderer:has-text("Description")',
+        'ytd-menu-navigation-item-renderer:has-text("Description")',
+        'tp-yt-paper-item:has-text("Description")',
+        '[role="menuitem"]:has-text("Description")'
+      ],
+      
+      // Transcript button inside the description panel
+      transcriptButton: [
+        'ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-structured-description"] ytd-video-description-transcript-section-renderer button',
+        'ytd-video-description-transcript-section-renderer button',
+        'ytd-shorts button[aria-label*="transcript" i]'
       ]
     };
     
@@ -88,6 +140,7 @@ class YouTubeUIDetector {
       isVideoPage: [
         'ytd-watch-flexy',
         'ytd-watch',
+        'ytd-shorts',
         '#movie_player',
         'video.html5-main-video'
       ],
@@ -115,22 +168,46 @@ class YouTubeUIDetector {
     return indicators;
   }
 
+  /**
+   * Check whether the page is rendered in the Shorts player layout
+   */
+  async isShortsPage(page) {
+    if (/\/shorts\//.test(page.url?.() || '')) return true;
+    
+    for (const selector of this.shortsSelectors.page) {
+      if (await page.$(selector).catch(() => null)) return true;
+    }
+    
+    return false;
+  }
+
   /**
    * Find transcript button using multiple strategies
+   * Pass `shorts: true` when the page uses the Shorts player layout.
+   * With `attempts` (a RetryAttempts ledger) the rounds and the wait between
+   * them come from its RetryPolicy, and no round starts past its time budget.
    */
   async findTranscriptButton(page, options = {}) {
-    const maxAttempts = options.maxAttempts || 3;
+    const { attempts } = options;
+    const maxAttempts = attempts?.policy.uiAttempts || options.maxAttempts || 3;
+    const retryDelay = attempts ? attempts.policy.uiRetryDelay : 2000;
     
     // First, ensure page is fully loaded
-    await this.waitForPageReady(page);
+    await this.waitForPageReady(page, options);
     
-    const strategies = [
-      this.findInDescription.bind(this), // Try description first - common in 2025
-      this.findInMenu.bind(this), // Then try menu
-      this.findDirectButton.bind(this),
-      this.findByText.bind(this),
-      this.findByAttribute.bind(this)
-    ];
+    const strategies = options.shorts
+      ? [
+        this.findInShortsMenu.bind(this),
+        this.findByText.bind(this),
+        this.findByAttribute.bind(this)
+      ]
+      : [
+        this.findInDescription.bind(this), // Try description first - common in 2025
+        this.findInMenu.bind(this), // Then try menu
+        this.findDirectButton.bind(this),
+        this.findByText.bind(this),
+        this.findByAttribute.bind(this)
+      ];
     
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
       console.log(`Finding transcript button - Attempt ${attempt + 1}/${maxAttempts}`);
@@ -149,7 +226,9 @@ class YouTubeUIDetector {
       
       // Wait before retry
       if (attempt < maxAttempts - 1) {
-        await page.waitForTimeout(2000);
+        if (attempts && !attempts.hasTime(retryDelay)) break;
+        attempts?.record('uiDetector');
+        await page.waitForTimeout(retryDelay);
       }
     }
     
@@ -159,13 +238,16 @@ class YouTubeUIDetector {
   /**
    * Wait for YouTube page to be fully ready
    */
-  async waitForPageReady(page) {
+  async waitForPageReady(page, options = {}) {
     try {
       // Wait for video player
       await page.waitForSelector('video', { timeout: 10000 });
       
       // Wait for action buttons area
-      await page.waitForSelector('#top-level-buttons-computed, #menu-container, #info', { 
+      const actions = options.shorts
+        ? this.shortsSelectors.menuButton.join(', ')
+        : '#top-level-buttons-computed, #menu-container, #info';
+      await page.waitForSelector(actions, { 
         timeout: 10000 
       });
       
@@ -412,6 +494,60 @@ class YouTubeUIDetector {
     return null;
   }
 
+  /**
+   * Shorts strategy: open the overlay menu and take the transcript item,
+   * or go through the description panel which carries the transcript button
+   */
+  async findInShortsMenu(page) {
+    console.log('Trying Shorts menu strategy for transcript button...');
+    
+    for (const menuSelector of this.shortsSelectors.menuButton) {
+      const menuButton = await page.$(menuSelector);
+      if (!menuButton) continue;
+      
+      console.log(`Found Shorts menu button with selector: ${menuSelector}`);
+      await menuButton.click();
+      await page.waitForTimeout(1000);
+      
+      // Some Shorts list the transcript in the menu itself
+      for (const itemSelector of this.transcriptSelectors.menuItem) {
+        const item = await page.$(itemSelector);
+        if (item && await item.isVisible()) {
+          console.log(`Found transcript item with selector: ${itemSelector}`);
+          return item;
+        }
+      }
+      
+      for (const descriptionSelector of this.shortsSelectors.descriptionItem) {
+        const descriptionItem = await page.$(descriptionSelector);
+        if (!descriptionItem) continue;
+        
+        await descriptionItem.click();
+        console.log('Opened Shorts description panel');
+        
+        for (const buttonSelector of this.shortsSelectors.transcriptButton) {
+          const button = await page.waitForSelector(buttonSelector, {
+            timeout: 3000,
+            state: 'visible'
+          }).catch(() => null);
+          
+          if (button) {
+            console.log(`Found transcript button in description panel with selector: ${buttonSelector}`);
+            return button;
+          }
+        }
+        
+        return null;
+      }
+      
+      // Close menu if neither entry is present
+      await page.keyboard.press('Escape');
+      await page.waitForTimeout(500);
+    }
+    
+    return null;
+  }
+
   /**
    * Strategy 4: Find by text content
    */
@@ -484,7 +620,7 @@ class YouTubeUIDetector {
       await page.waitForTimeout(500);
     }
     
-    throw new Error('Transcript panel did not appear');
+    throw new ServiceError('UI_CHANGED', 'Transcript panel did not appear');
   }
 
   /**
@@ -616,6 +752,273 @@ class YouTubeUIDetector {
     });
   }
 
+  /**
+   * Read caption tracks from the player response embedded in the watch page
+   */
+  async getCaptionTracks(page) {
+    try {
+      const tracks = await page.evaluate(() => {
+        const response = window.ytInitialPlayerResponse;
+        const captionTracks = response?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+        
+        return captionTracks.map(track => ({
+          languageCode: track.languageCode,
+          name: track.name?.simpleText ||
+            track.name?.runs?.map(run => run.text).join('') ||
+            track.languageCode,
+          kind: track.kind || null,
+          baseUrl: track.baseUrl || null
+        }));
+      });
+      
+      return Array.isArray(tracks) ? tracks : [];
+    } catch (error) {
+      console.log('Could not read caption tracks:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Pick the first caption track matching a list of preferred languages.
+   * Accepts language codes ("es", "pt-BR") or English names ("Spanish").
+   */
+  findCaptionTrack(tracks, languages = [], options = {}) {
+    const candidates = this.filterTracksByKind(tracks, options.kind);
+    
+    for (const language of languages) {
+      const wanted = String(language).toLowerCase();
+      
+      // Exact code, then regional variant ("es" -> "es-419"), then display name
+      const track = candidates.find(t => t.languageCode?.toLowerCase() === wanted) ||
+        candidates.find(t => t.languageCode?.toLowerCase().split('-')[0] === wanted.split('-')[0]) ||
+        candidates.find(t => this.matchesLanguageLabel(t.name, language));
+      
+      if (track) return track;
+    }
+    
+    return null;
+  }
+
+  /**
+   * Keep only tracks of the requested kind ("manual", "auto" or "any")
+   */
+  filterTracksByKind(tracks, kind = 'any') {
+    if (!kind || kind === 'any') return tracks;
+    return tracks.filter(track => this.getTrackKind(track) === kind);
+  }
+
+  /**
+   * Classify a caption track as auto-generated (ASR) or manually uploaded
+   */
+  getTrackKind(track) {
+    if (!track) return null;
+    if (track.kind === 'asr') return 'auto';
+    return this.getTrackKindFromLabel(track.name) || 'manual';
+  }
+
+  /**
+   * Classify a transcript panel label such as "English (auto-generated)"
+   */
+  getTrackKindFromLabel(label) {
+    if (!label) return null;
+    return /auto-generated|automatic/i.test(label) ? 'auto' : 'manual';
+  }
+
+  /**
+   * Check whether a dropdown label ("Spanish (auto-generated)") refers to a language
+   */
+  matchesLanguageLabel(label, language) {
+    if (!label || !language) return false;
+    
+    const normalizedLabel = label.trim().toLowerCase();
+    const candidates = [String(language).toLowerCase()];
+    
+    try {
+      const displayName = new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+      if (displayName) candidates.push(displayName.toLowerCase());
+    } catch {
+      // Not a valid language code, compare as a plain name
+    }
+    
+    return candidates.some(candidate => 
+      normalizedLabel === candidate || normalizedLabel.startsWith(`${candidate} (`)
+    );
+  }
+
+  /**
+   * Find the language dropdown inside the transcript panel
+   */
+  async findLanguageMenu(page, panel) {
+    const root = panel || page;
+    
+    for (const selector of this.transcriptSelectors.languageMenu) {
+      try {
+        const menu = await root.$(selector);
+        if (menu && await menu.isVisible()) {
+          return menu;
+        }
+      } catch {
+        // Continue
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get the language label currently shown in the transcript panel
+   */
+  async getTranscriptLanguage(page, panel) {
+    const menu = await this.findLanguageMenu(page, panel);
+    if (!menu) return null;
+    
+    const label = await menu.textContent().catch(() => null);
+    return label?.trim() || null;
+  }
+
+  /**
+   * Switch the transcript panel to the given caption track.
+   * Returns true if the panel was switched, false if no switch was needed or possible.
+   */
+  async selectTranscriptLanguage(page, panel, track) {
+    const menu = await this.findLanguageMenu(page, panel);
+    if (!menu) {
+      console.log('No language dropdown in transcript panel');
+      return false;
+    }
+    
+    const currentLabel = (await menu.textContent().catch(() => ''))?.trim();
+    if (currentLabel && currentLabel === track.name) {
+      return false;
+    }
+    
+    await menu.click();
+    await page.waitForTimeout(500);
+    
+    const trackKind = this.getTrackKind(track);
+    
+    for (const selector of this.transcriptSelectors.languageMenuItem) {
+      const items = [];
+      for (const element of await page.$$(selector)) {
+        const text = (await element.textContent().catch(() => ''))?.trim();
+        if (text) items.push({ element, text });
+      }
+      
+      // Prefer the exact track name, then any label of the same language and kind
+      const item = items.find(i => i.text === track.name) ||
+        items.find(i => this.matchesLanguageLabel(i.text, track.languageCode) &&
+          this.getTrackKindFromLabel(i.text) === trackKind);
+      
+      if (item) {
+        await item.element.click();
+        console.log(`Switched transcript language to: ${item.text}`);
+        await page.waitForTimeout(1500);
+        return true;
+      }
+    }
+    
+    // Close the dropdown if the language was not listed
+    await page.keyboard.press('Escape');
+    console.log(`Language ${track.languageCode} not listed in transcript dropdown`);
+    return false;
+  }
+
+  /**
+   * Read the player's playability status and error overlay.
+   * Returns { state, reason } where state is one of: playable, unavailable,
+   * private, age_restricted, members_only, bot_check, offline, unplayable
+   */
+  async getPageState(page) {
+    const playability = await page.evaluate(() => {
+      const status = window.ytInitialPlayerResponse?.playabilityStatus;
+      const errorScreen = status?.errorScreen?.playerErrorMessageRenderer;
+      const text = value => value?.simpleText || value?.runs?.map(run => run.text).join('') || null;
+      const overlay = document.querySelector(
+        'yt-playability-error-supported-renderers #reason, .ytp-error-content-wrap-reason'
+      );
+      
+      return {
+        status: status?.status || null,
+        reason: status?.reason || text(errorScreen?.reason) || overlay?.textContent?.trim() || null,
+        subreason: text(errorScreen?.subreason)
+      };
+    }).catch(error => {
+      console.log('Could not read playability status:', error.message);
+      return null;
+    });
+    
+    return {
+      state: this.classifyPlayability(playability),
+      reason: playability?.reason || null
+    };
+  }
+
+  /**
+   * Classify a playability status. Unknown or unreadable status counts as playable
+   * so extraction proceeds as before.
+   */
+  classifyPlayability(playability) {
+    if (!playability || (!playability.status && !playability.reason)) return 'playable';
+    
+    const { status, reason, subreason } = playability;
+    if (status === 'OK') return 'playable';
+    
+    const text = `${reason || ''} ${subreason || ''}`;
+    
+    if (/members[- ]only|join this channel/i.test(text)) return 'members_only';
+    if (/private/i.test(text)) return 'private';
+    if (/not a bot/i.test(text)) return 'bot_check';
+    if (status === 'AGE_CHECK_REQUIRED' || status === 'AGE_VERIFICATION_REQUIRED' ||
+        /confirm your age|age[- ]restricted|inappropriate for some users/i.test(text)) {
+      return 'age_restricted';
+    }
+    if (status === 'LIVE_STREAM_OFFLINE') return 'offline';
+    if (status === 'ERROR') return 'unavailable';
+    
+    return 'unplayable';
+  }
+
+  /**
+   * Fail fast on videos that can't be watched, before searching for transcript controls
+   */
+  async assertPlayable(page) {
+    const { state, reason } = await this.getPageState(page);
+    if (state === 'playable') return;
+    
+    const failures = {
+      unavailable: ['VIDEO_NOT_FOUND', 'Video unavailable'],
+      private: ['PRIVATE_VIDEO', 'Video is private'],
+      age_restricted: ['AGE_RESTRICTED', 'Video is age-restricted'],
+      members_only: ['MEMBERS_ONLY', 'Video is available to channel members only'],
+      bot_check: ['RATE_LIMITED', 'YouTube requires a bot check'],
+      offline: ['NO_TRANSCRIPT', 'Live stream has not started'],
+      unplayable: ['VIDEO_UNAVAILABLE', 'Video cannot be played']
+    };
+    
+    const [code, message] = failures[state];
+    console.log(`Video is not playable (${state}): ${reason || message}`);
+    throw new ServiceError(code, message, { reason });
+  }
+
+  /**
+   * Publish date and live state from the player response, used to decide how
+   * long a transcript may be cached
+   */
+  async getPublishInfo(page) {
+    return page.evaluate(() => {
+      const response = window.ytInitialPlayerResponse;
+      const microformat = response?.microformat?.playerMicroformatRenderer;
+      
+      return {
+        publishedAt: microformat?.publishDate || microformat?.uploadDate || null,
+        isLive: Boolean(microformat?.liveBroadcastDetails?.isLiveNow || response?.videoDetails?.isLive)
+      };
+    }).catch(error => {
+      console.log('Could not read publish info:', error.message);
+      return { publishedAt: null, isLive: false };
+    });
+  }
+
   /**
    * Check if video has transcripts available
    */
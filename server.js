@@ -1,13 +1,27 @@
 import express from 'express';
 import cors from 'cors';
 import { TranscriptExtractor } from './services/transcript-extractor.js';
-import { CircuitBreaker } from './lib/circuit-breaker.js';
+import { PlaylistExpander } from './services/playlist-expander.js';
+import { CircuitBreaker, CircuitBreakerGroup } from './lib/circuit-breaker.js';
 import { RetryManager } from './lib/retry-manager.js';
+import { RetryPolicy } from './lib/retry-policy.js';
 import { CacheManager } from './lib/cache-manager.js';
+import { CacheTtlPolicy } from './lib/cache-ttl-policy.js';
+import { CacheWarmer } from './lib/cache-warmer.js';
+import { FileCacheStorage } from './lib/file-cache-storage.js';
+import { RedisCacheStorage } from './lib/redis-cache-storage.js';
 import { RequestQueue } from './lib/request-queue.js';
+import { SingleFlight } from './lib/single-flight.js';
 import { BrowserPool } from './lib/browser-pool.js';
+import { TranscriptFormatter } from './lib/transcript-formatter.js';
+import { WebhookDispatcher } from './lib/webhook-dispatcher.js';
+import { BatchManager } from './lib/batch-manager.js';
+import { VideoIdNormalizer } from './lib/video-id-normalizer.js';
+import { AuditLog } from './lib/audit-log.js';
+import { ServiceError } from './lib/service-error.js';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { createHash } from 'crypto';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -24,34 +38,139 @@ const browserPool = new BrowserPool({
 });
 
 // Initialize components
+// Persistent cache backend: memory (default), file or redis
+const createCacheStorage = () => {
+  switch (process.env.CACHE_STORAGE || 'memory') {
+    case 'memory':
+      return null;
+    case 'file':
+      return new FileCacheStorage({ directory: process.env.CACHE_DIR });
+    case 'redis':
+      return new RedisCacheStorage({
+        url: process.env.REDIS_URL,
+        prefix: process.env.CACHE_KEY_PREFIX
+      });
+    default:
+      console.warn(`Unknown CACHE_STORAGE "${process.env.CACHE_STORAGE}", using memory`);
+      return null;
+  }
+};
+
 const cache = new CacheManager({
   maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 100,
-  maxAge: parseInt(process.env.CACHE_MAX_AGE) || 300000
+  maxBytes: parseInt(process.env.CACHE_MAX_BYTES) || 268435456,
+  maxAge: parseInt(process.env.CACHE_MAX_AGE) || 300000,
+  staleTtl: parseInt(process.env.CACHE_STALE_TTL) || 3600000,
+  storage: createCacheStorage()
 });
 
-const circuitBreaker = new CircuitBreaker({
-  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5,
-  resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT) || 60000
+const cacheTtlPolicy = new CacheTtlPolicy({
+  defaultTtl: cache.maxAge,
+  liveTtl: parseInt(process.env.CACHE_TTL_LIVE) || 60000,
+  recentTtl: parseInt(process.env.CACHE_TTL_RECENT) || 300000,
+  archiveTtl: parseInt(process.env.CACHE_TTL_ARCHIVE) || 86400000
 });
 
+// Coalesces concurrent extractions of the same cache key
+const singleFlight = new SingleFlight();
+
+// `consecutive` trips on failures in a row, `window` on the failure rate over
+// the last CIRCUIT_BREAKER_WINDOW ms (or CIRCUIT_BREAKER_WINDOW_SIZE calls)
+const circuitBreakerOptions = {
+  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 5,
+  resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT) || 60000,
+  mode: process.env.CIRCUIT_BREAKER_MODE || 'consecutive',
+  monitoringPeriod: parseInt(process.env.CIRCUIT_BREAKER_WINDOW) || 300000,
+  windowSize: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_SIZE) || 0,
+  minimumCalls: parseInt(process.env.CIRCUIT_BREAKER_MIN_CALLS) || 10,
+  failureRateThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_RATE) || 50,
+  slowCallRateThreshold: parseInt(process.env.CIRCUIT_BREAKER_SLOW_CALL_RATE) || 50
+};
+
+const circuitBreaker = new CircuitBreaker(circuitBreakerOptions);
+
+// Slow calls are only measured against a window's call rate
+if (parseInt(process.env.CIRCUIT_BREAKER_SLOW_CALL) > 0 && circuitBreakerOptions.mode !== 'window') {
+  console.warn('CIRCUIT_BREAKER_SLOW_CALL has no effect unless CIRCUIT_BREAKER_MODE=window');
+}
+
+// Separate breakers per extraction stage, so e.g. a YouTube layout change that
+// breaks transcript button detection doesn't also block navigation health
+const circuitBreakers = process.env.CIRCUIT_BREAKER_DOMAINS !== 'false'
+  ? new CircuitBreakerGroup({
+    ...circuitBreakerOptions,
+    keys: ['browserLaunch', 'navigation', 'uiDetection'],
+    // Slow page loads are how YouTube throttling usually shows first
+    breakers: {
+      navigation: { slowCallThreshold: parseInt(process.env.CIRCUIT_BREAKER_SLOW_CALL) || 0 }
+    }
+  })
+  : null;
+
 const retryManager = new RetryManager({
   maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
   baseDelay: parseInt(process.env.RETRY_DELAY) || 2000
 });
 
+// One retry budget per request, shared by the queue, retry manager and UI
+// detector. Background work (refreshes, warm-up) gives up sooner
+const retryPolicy = new RetryPolicy({
+  maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || (parseInt(process.env.MAX_RETRIES) || 3) + 1,
+  timeBudget: parseInt(process.env.RETRY_TIME_BUDGET) || 90000,
+  baseDelay: parseInt(process.env.RETRY_DELAY) || 2000,
+  uiAttempts: parseInt(process.env.RETRY_UI_ATTEMPTS) || 3
+});
+
 const requestQueue = new RequestQueue({
   maxConcurrent: parseInt(process.env.MAX_CONCURRENT_REQUESTS) || 10, // Increased for true parallelism
   rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000,
-  rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 50 // Increased for better throughput
+  rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 50, // Increased for better throughput
+  retryPolicies: {
+    HIGH: retryPolicy,
+    NORMAL: retryPolicy,
+    LOW: retryPolicy.restrict({ maxAttempts: parseInt(process.env.RETRY_LOW_MAX_ATTEMPTS) || 2 })
+  }
+});
+
+const batchManager = new BatchManager({
+  requestQueue,
+  maxInFlight: parseInt(process.env.BATCH_MAX_IN_FLIGHT) || 10,
+  maxBatchSize: parseInt(process.env.BATCH_MAX_SIZE) || 500
 });
 
 const extractor = new TranscriptExtractor({
   cache,
   circuitBreaker,
+  circuitBreakers,
   retryManager,
   browserPool
 });
 
+const formatter = new TranscriptFormatter();
+const videoIdNormalizer = new VideoIdNormalizer();
+
+const webhooks = new WebhookDispatcher({
+  secret: process.env.WEBHOOK_SECRET || process.env.API_KEY,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+  allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS?.split(',').map(host => host.trim()).filter(Boolean),
+  retryManager: new RetryManager({
+    baseDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 1000,
+    maxDelay: 60000
+  })
+});
+
+// Trail of operator actions taken through the admin routes
+const auditLog = new AuditLog({
+  file: process.env.AUDIT_LOG_FILE || null,
+  maxEntries: parseInt(process.env.AUDIT_LOG_MAX_ENTRIES) || 1000
+});
+
+const playlistExpander = new PlaylistExpander({
+  browserPool,
+  maxVideos: parseInt(process.env.EXPAND_MAX_VIDEOS) || 500
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -65,12 +184,34 @@ const validateApiKey = (req, res, next) => {
   next();
 };
 
+// Admin routes take ADMIN_API_KEY when set, so operators can be given a
+// separate key from clients
+const validateAdminKey = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey || apiKey !== (process.env.ADMIN_API_KEY || process.env.API_KEY)) {
+    return res.status(401).json({ error: 'Invalid admin API key' });
+  }
+  next();
+};
+
+// Admin actions, including cache purges, are recorded in the audit log with
+// who asked: the client address, and the X-Admin-User header if sent
+const recordAdminAction = (req, action, target, params, result) => auditLog.record({
+  action,
+  target,
+  params,
+  actor: { user: req.get('x-admin-user') || null, ip: req.ip, userAgent: req.get('user-agent') || null },
+  result
+});
+
 // Routes
 app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     circuitBreaker: circuitBreaker.getState(),
+    circuitBreakers: circuitBreakers?.getState() || {},
     cache: cache.getStats(),
+    warmUp: cacheWarmer.getProgress(),
     queue: requestQueue.getQueueStatus(),
     browserPool: browserPool.getStats(),
     memory: {
@@ -85,10 +226,15 @@ app.get('/stats', validateApiKey, (req, res) => {
   const memUsage = process.memoryUsage();
   res.json({
     cache: cache.getStats(),
+    coalescing: singleFlight.getStats(),
     circuitBreaker: circuitBreaker.getMetrics(),
+    circuitBreakers: circuitBreakers?.getMetrics() || {},
     retryManager: retryManager.getStats(),
+    retryPolicies: requestQueue.retryPolicies,
     queue: requestQueue.getStats(),
     browserPool: browserPool.getStats(),
+    webhooks: webhooks.getStats(),
+    batches: batchManager.getStats(),
     system: {
       uptime: `${(process.uptime() / 60).toFixed(2)} minutes`,
       memory: {
@@ -103,70 +249,820 @@ app.get('/stats', validateApiKey, (req, res) => {
   });
 });
 
-app.post('/extract', validateApiKey, async (req, res) => {
-  const { videoId } = req.body;
+const priorityMap = {
+  high: requestQueue.priorities.HIGH,
+  normal: requestQueue.priorities.NORMAL,
+  low: requestQueue.priorities.LOW
+};
+
+const RETRY_LIMITS = ['maxAttempts', 'timeBudget', 'uiAttempts'];
+
+// Per-request retry limits: an object of positive integers
+const isRetryLimits = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.entries(value).every(([name, limit]) => RETRY_LIMITS.includes(name) && Number.isInteger(limit) && limit > 0);
+
+// A request may lower, never raise, the retry limits of its priority
+const retryPolicyFor = (priority, limits) => {
+  const policy = requestQueue.retryPolicyFor(priorityMap[priority] || priorityMap.normal);
+  return limits ? policy.restrict(limits) : policy;
+};
+
+// Validate transcript options shared by every extraction endpoint
+const parseTranscriptOptions = (body = {}, query = {}) => {
+  const { language, fallbackLanguages = [], transcriptType = 'any', callbackUrl, retry } = body;
   
-  if (!videoId) {
-    return res.status(400).json({ error: 'Video ID is required' });
+  if (language !== undefined && typeof language !== 'string') {
+    return { error: 'Language must be a string' };
   }
   
-  const priority = req.headers['x-priority'] || 'normal';
-  const priorityMap = {
-    high: requestQueue.priorities.HIGH,
-    normal: requestQueue.priorities.NORMAL,
-    low: requestQueue.priorities.LOW
+  if (!Array.isArray(fallbackLanguages) || fallbackLanguages.some(l => typeof l !== 'string')) {
+    return { error: 'Fallback languages must be an array of strings' };
+  }
+  
+  if (!['manual', 'auto', 'any'].includes(transcriptType)) {
+    return { error: 'Transcript type must be one of: manual, auto, any' };
+  }
+  
+  const format = query.format || body.format || 'json';
+  if (!formatter.isSupported(format)) {
+    return { error: `Format must be one of: ${Object.keys(formatter.formats).join(', ')}` };
+  }
+  
+  if (callbackUrl !== undefined) {
+    try {
+      webhooks.checkUrl(callbackUrl);
+    } catch (error) {
+      return { error: error.message, code: error.code };
+    }
+  }
+  
+  if (retry !== undefined && !isRetryLimits(retry)) {
+    return { error: `Retry must be an object of positive integers: ${RETRY_LIMITS.join(', ')}` };
+  }
+  
+  return { options: { language, fallbackLanguages, transcriptType, format, callbackUrl, retry } };
+};
+
+// Validate extraction options shared by /extract, /jobs and batches.
+// `videoId` (or `url`) may be a bare ID or any common YouTube URL.
+const parseExtractOptions = (body = {}, query = {}) => {
+  let video;
+  try {
+    video = videoIdNormalizer.normalize(body.videoId ?? body.url);
+  } catch (error) {
+    return { error: error.message, code: error.code };
+  }
+  
+  const { options, error, code } = parseTranscriptOptions(body, query);
+  if (error) {
+    return { error, code };
+  }
+  
+  return {
+    options: { ...options, videoId: video.videoId, startTime: video.startTime, isShort: video.isShort }
   };
+};
+
+// Extract and cache a transcript; concurrent calls for the same key share one
+// extraction, which is aborted once every caller's signal has aborted. Retries
+// are counted against `attempts`, the queue item's retry policy ledger
+const fetchTranscript = (cacheKey, { videoId, language, fallbackLanguages, transcriptType, isShort }, signal, attempts) =>
+  singleFlight.run(cacheKey, async (flightSignal) => {
+    // Extract with circuit breaker protection
+    const result = await circuitBreaker.execute(
+      () => retryManager.executeWithRetry(
+        () => extractor.extract(videoId, {
+          language,
+          fallbackLanguages,
+          transcriptType,
+          isShort,
+          signal: flightSignal,
+          attempts
+        }),
+        { signal: flightSignal, attempts }
+      ),
+      { signal: flightSignal }
+    );
+    
+    // Cache the result for as long as this kind of video warrants. The key
+    // components are kept so the most-hit entries can be warmed after a restart.
+    // A transcript is cached under the language it is in, or not at all when a
+    // fallback's language is unknown. A request naming fallbacks also gets an
+    // entry under its own key, so repeating it is a hit
+    const cacheEntry = (key, keyOptions, value) => cache.set(key, value, {
+      ttl: cacheTtlPolicy.ttlFor(result),
+      metadata: { videoId, ...keyOptions, language: keyOptions.language || null },
+      components: CacheManager.keyComponents(videoId, keyOptions)
+    });
+    
+    const deliveredLanguage = result.fallbackUsed ? result.language : language;
+    const deliveredOptions = { language: deliveredLanguage, transcriptType };
+    const deliveredKey = CacheManager.generateKey(videoId, deliveredOptions);
+    
+    if (!result.fallbackUsed || deliveredLanguage) {
+      cacheEntry(
+        deliveredKey,
+        deliveredOptions,
+        result.fallbackUsed ? { ...result, requestedLanguage: deliveredLanguage, fallbackUsed: false } : result
+      );
+    }
+    
+    if (cacheKey !== deliveredKey) {
+      cacheEntry(cacheKey, { language, fallbackLanguages, transcriptType }, result);
+    }
+    
+    // How hard this extraction had to try; reported but never cached
+    return attempts ? { ...result, attempts: attempts.toJSON() } : result;
+  }, signal);
+
+const pendingRefreshes = new Set();
+
+// Refresh a stale entry in the background without delaying interactive requests
+const scheduleRefresh = (cacheKey, options) => {
+  if (pendingRefreshes.has(cacheKey) || singleFlight.has(cacheKey)) return;
+  pendingRefreshes.add(cacheKey);
+  
+  requestQueue.enqueue(
+    (signal, attempts) => fetchTranscript(cacheKey, options, signal, attempts),
+    {
+      priority: requestQueue.priorities.LOW,
+      timeout: 120000,
+      metadata: { refresh: true, videoId: options.videoId }
+    }
+  )
+    .catch(error => {
+      console.log(`[Cache] Background refresh failed for ${options.videoId}:`, error.message);
+    })
+    .finally(() => {
+      pendingRefreshes.delete(cacheKey);
+    });
+};
+
+// Serve a transcript from cache; stale entries are served while a refresh runs
+const readCachedTranscript = (cacheKey, options) => {
+  const cached = cache.lookup(cacheKey);
+  if (!cached) return null;
+  
+  if (cached.stale) {
+    scheduleRefresh(cacheKey, options);
+  }
+  
+  return {
+    ...cached.value,
+    fromCache: true,
+    stale: cached.stale,
+    cacheAge: Math.floor(cached.age / 1000)
+  };
+};
+
+// Queue task: serve from cache or extract with circuit breaker and retry protection
+const extractTranscript = async (options, signal, attempts) => {
+  const { videoId, language, fallbackLanguages, transcriptType, startTime } = options;
+  
+  // The start-time hint from the URL is echoed back but never cached
+  const withStartTime = (result) => (startTime != null ? { ...result, startTime } : result);
+  
+  const cacheKey = CacheManager.generateKey(videoId, { language, fallbackLanguages, transcriptType });
+  const transcript = readCachedTranscript(cacheKey, options) || await fetchTranscript(cacheKey, options, signal, attempts);
+  
+  return withStartTime(transcript);
+};
+
+const WARM_UP_STATE_FILE = process.env.CACHE_WARM_STATE_FILE || './data/warm-up.json';
+const WARM_UP_TOP = parseInt(process.env.CACHE_WARM_TOP ?? '50', 10);
+
+// Warm-up goes through the queue at low priority like any other extraction
+const cacheWarmer = new CacheWarmer({
+  concurrency: parseInt(process.env.CACHE_WARM_CONCURRENCY) || 2,
+  warm: async ({ videoId: input, language, fallbackLanguages = [], transcriptType = 'any' }) => {
+    const { videoId } = videoIdNormalizer.normalize(input);
+    const cacheKey = CacheManager.generateKey(videoId, { language, fallbackLanguages, transcriptType });
+    if (cache.has(cacheKey)) {
+      return 'skipped';
+    }
+    
+    await requestQueue.enqueue(
+      (signal, attempts) => fetchTranscript(
+        cacheKey,
+        { videoId, language, fallbackLanguages, transcriptType },
+        signal,
+        attempts
+      ),
+      {
+        priority: requestQueue.priorities.LOW,
+        timeout: 120000,
+        metadata: { warmUp: true, videoId }
+      }
+    );
+    return 'warmed';
+  }
+});
+cache.warmer = cacheWarmer;
+
+// Configured videos, a warm-up file, and the most-hit entries saved at last shutdown
+const loadWarmUpEntries = async () => {
+  const entries = CacheWarmer.parse(process.env.CACHE_WARM_VIDEOS);
+  if (process.env.CACHE_WARM_FILE) {
+    entries.push(...await CacheWarmer.readFile(process.env.CACHE_WARM_FILE));
+  }
+  if (WARM_UP_TOP > 0) {
+    entries.push(...await CacheWarmer.readFile(WARM_UP_STATE_FILE));
+  }
+  return entries;
+};
+
+const saveWarmUpState = async () => {
+  if (!(WARM_UP_TOP > 0)) return;
+  
+  const entries = cache.getTopEntries(WARM_UP_TOP)
+    .filter(({ hits, metadata }) => hits > 0 && metadata.videoId)
+    .map(({ metadata }) => metadata);
+  await CacheWarmer.saveFile(WARM_UP_STATE_FILE, entries);
+  console.log(`[Cache] Saved ${entries.length} most-hit entries for warm-up`);
+};
+
+const getErrorStatus = (error) => ServiceError.statusOf(error);
+
+// Signal that aborts when the client goes away before its response is sent,
+// so queued or running work for it is cancelled
+const abortOnDisconnect = (req, res) => {
+  const controller = new AbortController();
+  
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort(new ServiceError('CANCELLED', 'Client disconnected'));
+    }
+  });
+  
+  return controller.signal;
+};
+
+const serializeError = (error) => ({
+  error: error.message,
+  code: ServiceError.codeOf(error) || undefined,
+  details: error.originalError?.message,
+  reason: error.reason || error.originalError?.reason,
+  availableLanguages: error.availableLanguages || error.originalError?.availableLanguages,
+  availableTrackKinds: error.availableTrackKinds || error.originalError?.availableTrackKinds,
+  breaker: error.breaker || undefined,
+  attempts: error.attempts
+});
+
+// Cache holds canonical JSON; render the requested format per response
+const sendTranscript = (res, result, format) => {
+  if (result.fromCache) {
+    res.set('Age', String(result.cacheAge));
+    res.set('X-Cache', result.stale ? 'STALE' : 'HIT');
+  } else {
+    res.set('X-Cache', 'MISS');
+  }
+  
+  if (format === 'json') {
+    return res.json(result);
+  }
+  
+  const { contentType, body } = formatter.format(result, format);
+  res.set('Content-Type', contentType).send(body);
+};
+
+const serializeJob = (item) => {
+  const toISO = (time) => (time ? new Date(time).toISOString() : null);
+  
+  return {
+    id: item.id,
+    status: item.status,
+    videoId: item.metadata.options.videoId,
+    createdAt: toISO(item.timestamp),
+    startedAt: toISO(item.startTime),
+    finishedAt: toISO(item.completedAt || item.failedAt),
+    retries: item.retries,
+    attempts: item.attempts?.toJSON(),
+    result: item.status === 'completed' ? item.result : undefined,
+    error: item.error
+      ? {
+        message: item.error.message,
+        code: ServiceError.codeOf(item.error) || undefined,
+        details: item.error.originalError?.message
+      }
+      : undefined
+  };
+};
+
+app.post('/extract', validateApiKey, async (req, res) => {
+  const { options, error: validationError, code } = parseExtractOptions(req.body, req.query);
+  if (validationError) {
+    return res.status(400).json({ error: validationError, code });
+  }
+  
+  const priority = req.headers['x-priority'] || 'normal';
+  
+  // With a callback the result is delivered by webhook instead of this response
+  if (options.callbackUrl) {
+    try {
+      const item = startJob(options, priority);
+      return res.status(202)
+        .location(`/jobs/${item.id}`)
+        .json(serializeJob(item));
+    } catch (error) {
+      console.error('Job submission failed:', error);
+      return res.status(getErrorStatus(error)).json(serializeError(error));
+    }
+  }
   
   try {
     const result = await requestQueue.enqueue(
-      async () => {
-        // Check cache first
-        const cacheKey = CacheManager.generateKey(videoId);
-        const cached = cache.get(cacheKey);
-        if (cached) {
-          return { ...cached, fromCache: true };
-        }
-        
-        // Extract with circuit breaker protection
-        const transcript = await circuitBreaker.execute(
-          () => retryManager.executeWithRetry(
-            () => extractor.extract(videoId)
-          )
-        );
-        
-        // Cache the result
-        cache.set(cacheKey, transcript);
-        
-        return transcript;
-      },
+      (signal, attempts) => extractTranscript(options, signal, attempts),
       {
         priority: priorityMap[priority] || priorityMap.normal,
-        timeout: 120000
+        timeout: 120000,
+        retryPolicy: retryPolicyFor(priority, options.retry),
+        signal: abortOnDisconnect(req, res)
       }
     );
     
-    res.json(result);
+    sendTranscript(res, result, options.format);
   } catch (error) {
     console.error('Extraction failed:', error);
+    res.status(getErrorStatus(error)).json(serializeError(error));
+  }
+});
+
+// Queue an extraction as a job; its outcome is read through GET /jobs/:id
+// and, when a callback URL is given, POSTed to the client
+const startJob = (options, priority) => {
+  const { id, promise } = requestQueue.submit(
+    (signal, attempts) => extractTranscript(options, signal, attempts),
+    {
+      priority: priorityMap[priority] || priorityMap.normal,
+      timeout: 120000,
+      retryPolicy: retryPolicyFor(priority, options.retry),
+      metadata: { job: true, options }
+    }
+  );
+  
+  promise
+    .catch(error => console.error(`Job ${id} failed:`, error.message))
+    .finally(() => {
+      const item = requestQueue.getItem(id);
+      if (options.callbackUrl && item) {
+        webhooks.deliver(options.callbackUrl, `transcript.${item.status}`, serializeJob(item));
+      }
+    });
+  
+  return requestQueue.getItem(id);
+};
+
+const serializeBatch = (batch, includeResults = true) => ({
+  id: batch.id,
+  status: batch.status,
+  createdAt: new Date(batch.createdAt).toISOString(),
+  finishedAt: batch.finishedAt ? new Date(batch.finishedAt).toISOString() : null,
+  progress: batchManager.getProgress(batch),
+  items: batch.items.map(item => ({
+    videoId: item.input.videoId,
+    language: item.input.language || null,
+    transcriptType: item.input.transcriptType,
+    status: batchManager.getItemStatus(item),
+    result: includeResults && item.status === 'completed' ? item.result : undefined,
+    error: item.error ? serializeError(item.error) : undefined
+  }))
+});
+
+app.post('/extract/batch', validateApiKey, (req, res) => {
+  const { videos, options: defaults = {} } = req.body;
+  
+  if (!Array.isArray(videos) || videos.length === 0) {
+    return res.status(400).json({ error: 'Videos must be a non-empty array' });
+  }
+  
+  // Each entry is a video ID or an object with per-item options over the shared defaults
+  const entries = [];
+  const errors = [];
+  
+  videos.forEach((video, index) => {
+    const body = typeof video === 'string' ? { ...defaults, videoId: video } : { ...defaults, ...video };
+    const { options, error, code } = parseExtractOptions(body);
+    
+    if (error) {
+      errors.push({ index, error, code });
+    } else {
+      const { videoId, language, fallbackLanguages, transcriptType, startTime, isShort } = options;
+      entries.push({ videoId, language, fallbackLanguages, transcriptType, startTime, isShort });
+    }
+  });
+  
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid batch items', items: errors });
+  }
+  
+  const priority = req.headers['x-priority'] || 'normal';
+  
+  try {
+    const batch = batchManager.create(entries, {
+      run: extractTranscript,
+      key: ({ videoId, language, fallbackLanguages, transcriptType }) =>
+        CacheManager.generateKey(videoId, { language, fallbackLanguages, transcriptType }),
+      priority: priorityMap[priority] || priorityMap.normal,
+      timeout: 120000,
+      retryPolicy: retryPolicyFor(priority, defaults.retry)
+    });
     
-    const statusCode = error.status || 
-      (error.message.includes('Circuit breaker is OPEN') ? 503 : 500);
+    res.status(202)
+      .location(`/extract/batch/${batch.id}`)
+      .json(serializeBatch(batch, false));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/extract/batch/:id', validateApiKey, (req, res) => {
+  const batch = batchManager.getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  
+  res.json(serializeBatch(batch, req.query.results !== 'false'));
+});
+
+app.delete('/extract/batch/:id', validateApiKey, (req, res) => {
+  const batch = batchManager.getBatch(req.params.id);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  
+  if (!batchManager.cancel(batch.id)) {
+    return res.status(409).json({ error: `Batch already ${batch.status}` });
+  }
+  
+  res.json(serializeBatch(batch, false));
+});
+
+app.post('/expand', validateApiKey, async (req, res) => {
+  const { source, limit, extract = false, options: defaults = {} } = req.body;
+  
+  if (!source || typeof source !== 'string') {
+    return res.status(400).json({ error: 'Source must be a playlist URL/ID or channel handle', code: 'INVALID_SOURCE' });
+  }
+  
+  if (!playlistExpander.parseSource(source)) {
+    return res.status(400).json({ error: `Unrecognized playlist or channel: ${source}`, code: 'INVALID_SOURCE' });
+  }
+  
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({ error: 'Limit must be a positive integer' });
+  }
+  
+  // Validate shared extraction options up front so a bad request doesn't waste a browser
+  let extractOptions;
+  if (extract) {
+    const { options, error, code } = parseTranscriptOptions(defaults);
+    if (error) {
+      return res.status(400).json({ error, code });
+    }
+    const { language, fallbackLanguages, transcriptType } = options;
+    extractOptions = { language, fallbackLanguages, transcriptType };
+  }
+  
+  const priority = req.headers['x-priority'] || 'normal';
+  
+  try {
+    const expansion = await requestQueue.enqueue(
+      (signal) => playlistExpander.expand(source, { limit, signal }),
+      {
+        priority: priorityMap[priority] || priorityMap.normal,
+        timeout: 120000,
+        signal: abortOnDisconnect(req, res)
+      }
+    );
+    
+    if (!extract || expansion.videoIds.length === 0) {
+      return res.json(expansion);
+    }
+    
+    const batch = batchManager.create(
+      expansion.videoIds.map(videoId => ({ videoId, ...extractOptions })),
+      {
+        run: extractTranscript,
+        key: ({ videoId, language, fallbackLanguages, transcriptType }) =>
+          CacheManager.generateKey(videoId, { language, fallbackLanguages, transcriptType }),
+        priority: priorityMap[priority] || priorityMap.normal,
+        timeout: 120000,
+        retryPolicy: retryPolicyFor(priority, defaults.retry)
+      }
+    );
     
-    res.status(statusCode).json({
-      error: error.message,
-      details: error.originalError?.message
+    res.status(202)
+      .location(`/extract/batch/${batch.id}`)
+      .json({ ...expansion, batch: serializeBatch(batch, false) });
+  } catch (error) {
+    console.error('Expansion failed:', error);
+    res.status(getErrorStatus(error)).json(serializeError(error));
+  }
+});
+
+app.post('/jobs', validateApiKey, (req, res) => {
+  const { options, error: validationError, code } = parseExtractOptions(req.body, req.query);
+  if (validationError) {
+    return res.status(400).json({ error: validationError, code });
+  }
+  
+  try {
+    const item = startJob(options, req.headers['x-priority'] || 'normal');
+    
+    res.status(202)
+      .location(`/jobs/${item.id}`)
+      .json(serializeJob(item));
+  } catch (error) {
+    console.error('Job submission failed:', error);
+    res.status(getErrorStatus(error)).json(serializeError(error));
+  }
+});
+
+app.get('/jobs/:id', validateApiKey, (req, res) => {
+  const item = requestQueue.getItem(req.params.id);
+  if (!item || !item.metadata.job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  const format = req.query.format;
+  if (format && item.status === 'completed') {
+    if (!formatter.isSupported(format)) {
+      return res.status(400).json({
+        error: `Format must be one of: ${Object.keys(formatter.formats).join(', ')}`
+      });
+    }
+    return sendTranscript(res, item.result, format);
+  }
+  
+  res.json(serializeJob(item));
+});
+
+app.delete('/jobs/:id', validateApiKey, (req, res) => {
+  const item = requestQueue.getItem(req.params.id);
+  if (!item || !item.metadata.job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  if (!requestQueue.cancel(item.id, 'Job cancelled by client')) {
+    return res.status(409).json({
+      error: `Job already ${item.status}`,
+      job: serializeJob(item)
     });
   }
+  
+  res.json(serializeJob(item));
+});
+
+// Cache administration
+const serializeCacheEntry = (entry) => ({
+  key: entry.key,
+  videoId: entry.videoId || null,
+  language: entry.language || null,
+  transcriptType: entry.transcriptType || null,
+  title: entry.value?.title,
+  segmentCount: entry.value?.segmentCount,
+  cachedAt: new Date(entry.timestamp).toISOString(),
+  lastAccess: new Date(entry.lastAccess).toISOString(),
+  age: Math.floor(entry.age / 1000),
+  ttl: Math.floor(entry.ttl / 1000),
+  stale: entry.stale,
+  hits: entry.hits,
+  size: entry.size
+});
+
+// Accepts the same IDs and URLs as /extract; answers 400 and returns null otherwise
+const parseVideoIdParam = (req, res) => {
+  try {
+    return videoIdNormalizer.normalize(req.params.videoId);
+  } catch (error) {
+    res.status(400).json({ error: error.message, code: error.code });
+    return null;
+  }
+};
+
+app.get('/cache', validateApiKey, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const entries = cache.listEntries();
+  
+  res.json({
+    total: entries.length,
+    entries: entries.slice(0, limit).map(serializeCacheEntry)
+  });
+});
+
+app.get('/cache/:videoId', validateApiKey, (req, res) => {
+  const { videoId } = parseVideoIdParam(req, res) || {};
+  if (!videoId) return;
+  
+  const entries = cache.listEntries({ videoId });
+  if (entries.length === 0) {
+    return res.status(404).json({ error: 'No cached transcripts for this video', videoId });
+  }
+  
+  res.json({ videoId, entries: entries.map(serializeCacheEntry) });
+});
+
+app.delete('/cache/:videoId', validateAdminKey, (req, res) => {
+  const { videoId } = parseVideoIdParam(req, res) || {};
+  if (!videoId) return;
+  
+  const deleted = cache.deleteByVideoId(videoId);
+  console.log(`[Cache] Purged ${deleted} entries for ${videoId}`);
+  const entry = recordAdminAction(req, 'cache.purge', videoId, {}, { deleted });
+  res.json({ videoId, deleted, auditId: entry.id });
+});
+
+app.delete('/cache', validateAdminKey, (req, res) => {
+  const deleted = cache.clear();
+  console.log(`[Cache] Purged all ${deleted} entries`);
+  const entry = recordAdminAction(req, 'cache.clear', 'cache', {}, { deleted });
+  res.json({ deleted, auditId: entry.id });
+});
+
+// HTTP caching validators for a transcript response. The ETag is weak because
+// cache fields in the body (age, staleness) change while the transcript doesn't.
+const setTranscriptValidators = (res, result, format) => {
+  const hash = createHash('sha1')
+    .update(JSON.stringify(result.transcript))
+    .update(format)
+    .digest('base64url');
+  const maxAge = Math.floor(cacheTtlPolicy.ttlFor(result) / 1000);
+  const staleWhileRevalidate = Math.floor(cache.staleTtl / 1000);
+  
+  // Private: the response is behind the API key, so shared caches must not
+  // hand it to anyone else
+  res.set('ETag', `W/"${hash}"`);
+  res.set('Cache-Control', `private, max-age=${maxAge}, stale-while-revalidate=${staleWhileRevalidate}`);
+  
+  const lastModified = new Date(result.extractedAt);
+  if (!Number.isNaN(lastModified.getTime())) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+};
+
+// Cacheable read: hits are answered without queueing, only a miss extracts
+app.get('/transcripts/:videoId', validateApiKey, async (req, res) => {
+  const video = parseVideoIdParam(req, res);
+  if (!video) return;
+  
+  const { fallbackLanguages } = req.query;
+  const { options, error: validationError } = parseTranscriptOptions({
+    language: req.query.language,
+    fallbackLanguages: fallbackLanguages ? String(fallbackLanguages).split(',') : [],
+    transcriptType: req.query.transcriptType
+  }, req.query);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const extractOptions = { ...options, videoId: video.videoId, isShort: video.isShort };
+  const cacheKey = CacheManager.generateKey(video.videoId, options);
+  const priority = req.headers['x-priority'] || 'normal';
+  
+  try {
+    const result = readCachedTranscript(cacheKey, extractOptions) || await requestQueue.enqueue(
+      (signal, attempts) => fetchTranscript(cacheKey, extractOptions, signal, attempts),
+      {
+        priority: priorityMap[priority] || priorityMap.normal,
+        timeout: 120000,
+        signal: abortOnDisconnect(req, res)
+      }
+    );
+    
+    setTranscriptValidators(res, result, options.format);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    sendTranscript(res, result, options.format);
+  } catch (error) {
+    console.error('Extraction failed:', error);
+    res.status(getErrorStatus(error)).json(serializeError(error));
+  }
+});
+
+// Operator controls for incidents
+const BREAKER_ACTIONS = ['open', 'close', 'reset'];
+
+// The overall breaker, or a per-stage one by name
+const findCircuitBreaker = (name = 'overall') => {
+  if (name === 'overall') return circuitBreaker;
+  return circuitBreakers?.has(name) ? circuitBreakers.get(name) : null;
+};
+
+app.post('/admin/circuit-breaker/:action', validateAdminKey, (req, res) => {
+  const { action } = req.params;
+  const name = req.body?.breaker || req.query.breaker || 'overall';
+  
+  if (!BREAKER_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `Action must be one of: ${BREAKER_ACTIONS.join(', ')}` });
+  }
+  
+  const breaker = findCircuitBreaker(name);
+  if (!breaker) {
+    return res.status(404).json({ error: `Unknown circuit breaker: ${name}` });
+  }
+  
+  const from = breaker.state;
+  if (action === 'open') {
+    breaker.forceOpen();
+  } else if (action === 'close') {
+    breaker.forceClose();
+  } else {
+    breaker.reset();
+  }
+  
+  const entry = recordAdminAction(req, `circuit-breaker.${action}`, name, {}, { from, to: breaker.state });
+  res.json({ breaker: name, ...breaker.getState(), auditId: entry.id });
+});
+
+app.get('/admin/queue', validateAdminKey, (req, res) => {
+  res.json({ ...requestQueue.getSettings(), ...requestQueue.getQueueStatus() });
+});
+
+app.post('/admin/queue/pause', validateAdminKey, (req, res) => {
+  const changed = requestQueue.pause();
+  const entry = recordAdminAction(req, 'queue.pause', 'queue', {}, { changed });
+  res.json({ ...requestQueue.getSettings(), changed, auditId: entry.id });
+});
+
+app.post('/admin/queue/resume', validateAdminKey, (req, res) => {
+  const changed = requestQueue.resume();
+  const entry = recordAdminAction(req, 'queue.resume', 'queue', {}, { changed });
+  res.json({ ...requestQueue.getSettings(), changed, auditId: entry.id });
+});
+
+// Cancels waiting items with CANCELLED; running extractions finish
+app.post('/admin/queue/drain', validateAdminKey, (req, res) => {
+  const cancelled = requestQueue.drain('Queue drained by an administrator');
+  const entry = recordAdminAction(req, 'queue.drain', 'queue', {}, { cancelled });
+  res.json({ ...requestQueue.getSettings(), cancelled, auditId: entry.id });
+});
+
+const QUEUE_SETTINGS = ['maxConcurrent', 'rateLimitMax', 'rateLimitWindow'];
+
+app.patch('/admin/queue', validateAdminKey, (req, res) => {
+  const settings = req.body || {};
+  const names = Object.keys(settings);
+  const valid = names.length > 0 && names.every(name =>
+    QUEUE_SETTINGS.includes(name) && Number.isInteger(settings[name]) && settings[name] > 0
+  );
+  
+  if (!valid) {
+    return res.status(400).json({
+      error: `Body must set one or more positive integers: ${QUEUE_SETTINGS.join(', ')}`
+    });
+  }
+  
+  const previous = requestQueue.getSettings();
+  const current = requestQueue.configure(settings);
+  const entry = recordAdminAction(req, 'queue.configure', 'queue', settings, {
+    previous: Object.fromEntries(names.map(name => [name, previous[name]]))
+  });
+  res.json({ ...current, auditId: entry.id });
+});
+
+app.get('/admin/audit', validateAdminKey, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const { action } = req.query;
+  
+  res.json({ total: auditLog.count({ action }), entries: auditLog.list({ limit, action }) });
 });
 
 // Start server
 if (import.meta.url === `file://${process.argv[1]}`) {
+  // Restore persisted transcripts in the background; requests can be served meanwhile
+  const cacheLoaded = cache.load().catch(error => {
+    console.error('[Cache] Failed to load persisted entries:', error.message);
+  });
+  
   const server = app.listen(PORT, () => {
     console.log(`Playwright transcript service running on port ${PORT}`);
     console.log(`Browser pool initialized with ${browserPool.getStats().currentSize} instances`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   });
   
+  // Warm the cache once persisted entries are back, so those are skipped
+  const warmUpTimer = setTimeout(async () => {
+    try {
+      await cacheLoaded;
+      const entries = await loadWarmUpEntries();
+      if (entries.length > 0) {
+        await cache.warmUp(entries);
+      }
+    } catch (error) {
+      console.error('[Cache] Warm-up failed:', error.message);
+    }
+  }, parseInt(process.env.CACHE_WARM_DELAY) || 5000);
+  
+  // Drop finished jobs and queue items after the retention period
+  const jobCleanupInterval = setInterval(() => {
+    const retention = parseInt(process.env.JOB_RETENTION) || 3600000;
+    requestQueue.clearCompleted(retention);
+    batchManager.clearFinished(retention);
+  }, 60000);
+  
   // Graceful shutdown
   const gracefulShutdown = async () => {
     console.log('\nShutting down Playwright service...');
@@ -177,9 +1073,13 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     });
     
     // Clean up resources
+    clearInterval(jobCleanupInterval);
+    clearTimeout(warmUpTimer);
     try {
+      await saveWarmUpState();
+      await auditLog.flush();
       await browserPool.destroy();
-      cache.destroy();
+      await cache.destroy();
       console.log('All resources cleaned up');
     } catch (error) {
       console.error('Error during cleanup:', error);
@@ -0,0 +1,198 @@
+import { ServiceError } from '../lib/service-error.js';
+import { AbortRelease } from '../lib/abort-release.js';
+
+/**
+ * Playlist expander - Turns playlist URLs/IDs and channel handles into video IDs
+ * by scrolling the playlist or channel videos page in a pooled browser
+ */
+class PlaylistExpander {
+  constructor(options = {}) {
+    this.browserPool = options.browserPool;
+    this.maxVideos = options.maxVideos || 500;
+    this.maxScrolls = options.maxScrolls || 100;
+    this.scrollDelay = options.scrollDelay || 1500;
+    this.idleRounds = options.idleRounds || 3;
+  }
+
+  /**
+   * Identify what a source string refers to
+   */
+  parseSource(source) {
+    const value = String(source || '').trim();
+    if (!value) return null;
+    
+    // Bare handle: @name
+    if (/^@[\w.-]+$/.test(value)) {
+      return { type: 'channel', id: value, url: `https://www.youtube.com/${value}/videos` };
+    }
+    
+    // Bare channel ID: UC + 22 characters
+    if (/^UC[\w-]{22}$/.test(value)) {
+      return { type: 'channel', id: value, url: `https://www.youtube.com/channel/${value}/videos` };
+    }
+    
+    // Bare playlist ID (PL, UU, OL, FL, RD, LL prefixes)
+    if (/^(PL|UU|OL|FL|RD|LL)[\w-]{10,}$/.test(value)) {
+      return this.playlistSource(value);
+    }
+    
+    let url;
+    try {
+      url = new URL(value.includes('://') ? value : `https://${value}`);
+    } catch {
+      return null;
+    }
+    
+    if (!/(^|\.)youtube\.com$/.test(url.hostname)) return null;
+    
+    const list = url.searchParams.get('list');
+    if (list) return this.playlistSource(list);
+    
+    const [first, second] = url.pathname.split('/').filter(Boolean);
+    
+    if (first?.startsWith('@')) {
+      return { type: 'channel', id: first, url: `https://www.youtube.com/${first}/videos` };
+    }
+    
+    if (['channel', 'c', 'user'].includes(first) && second) {
+      return {
+        type: 'channel',
+        id: second,
+        url: `https://www.youtube.com/${first}/${second}/videos`
+      };
+    }
+    
+    return null;
+  }
+
+  /**
+   * Build a playlist source from a list ID
+   */
+  playlistSource(id) {
+    return { type: 'playlist', id, url: `https://www.youtube.com/playlist?list=${id}` };
+  }
+
+  /**
+   * Collect video IDs from a playlist or channel. Aborting `options.signal`
+   * releases the browser context immediately, interrupting the scroll.
+   */
+  async expand(source, options = {}) {
+    const { signal } = options;
+    const parsed = this.parseSource(source);
+    if (!parsed) {
+      throw new ServiceError('INVALID_SOURCE', `Unrecognized playlist or channel: ${source}`);
+    }
+    
+    signal?.throwIfAborted();
+    
+    const limit = Math.min(options.limit || this.maxVideos, this.maxVideos);
+    let browser;
+    let contextId;
+    let page;
+    
+    const resource = new AbortRelease(signal, async () => {
+      if (page) await page.close().catch(() => {});
+      if (contextId) await this.browserPool.releaseContext(contextId);
+    });
+    
+    try {
+      browser = await this.browserPool.getBrowser();
+      const contextData = await this.browserPool.getContext(browser);
+      contextId = contextData.contextId;
+      
+      resource.watch();
+      
+      page = await contextData.context.newPage();
+      
+      const response = await page.goto(parsed.url, {
+        waitUntil: 'domcontentloaded',
+        timeout: 30000
+      });
+      
+      if (response && response.status() === 404) {
+        throw new ServiceError(
+          'SOURCE_NOT_FOUND',
+          `${parsed.type === 'playlist' ? 'Playlist' : 'Channel'} not found: ${parsed.id}`
+        );
+      }
+      
+      await page.waitForSelector(
+        'ytd-playlist-video-renderer, ytd-rich-item-renderer, ytd-grid-video-renderer',
+        { timeout: 15000 }
+      ).catch(() => {
+        console.log(`No video list found for ${parsed.type} ${parsed.id}`);
+      });
+      
+      const title = await page.title().catch(() => null);
+      
+      // Look for one video past the limit so an exactly full list isn't reported as truncated
+      const collected = await this.collectVideoIds(page, limit + 1, signal);
+      const videoIds = collected.slice(0, limit);
+      
+      return {
+        source: { type: parsed.type, id: parsed.id },
+        title: title?.replace(/ - YouTube$/, '') || null,
+        videoIds,
+        count: videoIds.length,
+        truncated: collected.length > limit,
+        expandedAt: new Date().toISOString()
+      };
+    
+    } catch (error) {
+      throw resource.reasonFor(error);
+    
+    } finally {
+      await resource.close();
+    }
+  }
+
+  /**
+   * Scroll the list until no new videos load, the limit is reached or scrolling is exhausted
+   */
+  async collectVideoIds(page, limit, signal) {
+    const ids = new Set();
+    let idleRounds = 0;
+    
+    for (let scroll = 0; scroll < this.maxScrolls; scroll++) {
+      signal?.throwIfAborted();
+      
+      const found = await page.evaluate(() => {
+        const anchors = document.querySelectorAll(
+          'ytd-playlist-video-renderer a#video-title, ' +
+          'ytd-rich-item-renderer a#video-title-link, ' +
+          'ytd-rich-item-renderer a#thumbnail, ' +
+          'ytd-grid-video-renderer a#video-title'
+        );
+        
+        return Array.from(anchors)
+          .map(anchor => {
+            try {
+              return new URL(anchor.href, location.origin).searchParams.get('v');
+            } catch {
+              return null;
+            }
+          })
+          .filter(Boolean);
+      });
+      
+      const before = ids.size;
+      for (const id of found) {
+        if (ids.size >= limit) break;
+        ids.add(id);
+      }
+      
+      if (ids.size >= limit) break;
+      
+      idleRounds = ids.size === before ? idleRounds + 1 : 0;
+      if (idleRounds >= this.idleRounds) break;
+      
+      await page.evaluate(() => window.scrollTo(0, document.documentElement.scrollHeight));
+      await page.waitForTimeout(this.scrollDelay);
+    }
+    
+    console.log(`Collected ${ids.size} video IDs`);
+    return Array.from(ids);
+  }
+}
+
+export { PlaylistExpander };
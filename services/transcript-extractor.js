@@ -1,50 +1,86 @@
 import { chromium } from 'playwright';
 import { YouTubeUIDetector } from '../lib/youtube-ui-detector.js';
+import { TranscriptInterceptor } from '../lib/transcript-interceptor.js';
+import { ServiceError } from '../lib/service-error.js';
+import { AbortRelease } from '../lib/abort-release.js';
+
+// Used for the final segment when the video length is unknown
+const DEFAULT_LAST_SEGMENT_DURATION = 5;
 
 class TranscriptExtractor {
   constructor(options = {}) {
     this.cache = options.cache;
     this.circuitBreaker = options.circuitBreaker;
+    this.circuitBreakers = options.circuitBreakers || null;
     this.retryManager = options.retryManager;
     this.browserPool = options.browserPool;
     this.uiDetector = new YouTubeUIDetector();
   }
   
-  async extract(videoId) {
+  /**
+   * Extract a transcript. Aborting `options.signal` closes the browser context
+   * immediately, which interrupts whichever page operation is in progress.
+   * 
+   * With `circuitBreakers` (a CircuitBreakerGroup) browser launch, navigation
+   * and transcript button detection each run behind their own breaker.
+   */
+  async extract(videoId, options = {}) {
+    const { signal } = options;
+    signal?.throwIfAborted();
+    
+    const languages = [options.language, ...(options.fallbackLanguages || [])].filter(Boolean);
+    const transcriptType = options.transcriptType || 'any';
     let browser;
     let context;
     let contextId;
     let page;
     
-    try {
-      // Get browser from pool if available, otherwise create new
-      if (this.browserPool) {
-        browser = await this.browserPool.getBrowser();
-        const contextData = await this.browserPool.getContext(browser);
-        context = contextData.context;
-        contextId = contextData.contextId;
+    const resource = new AbortRelease(signal, async () => {
+      if (this.browserPool && contextId) {
+        await this.browserPool.releaseContext(contextId);
       } else {
-        // Fallback to creating new browser if pool not available
-        browser = await chromium.launch({
-          headless: process.env.HEADLESS !== 'false',
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-          ]
-        });
-        context = await browser.newContext({
-          viewport: { width: 1920, height: 1080 },
-          userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        });
+        if (context) await context.close().catch(() => {});
+        if (browser) await browser.close().catch(() => {});
       }
+    });
+    
+    try {
+      await this.guard('browserLaunch', async () => {
+        // Get browser from pool if available, otherwise create new
+        if (this.browserPool) {
+          browser = await this.browserPool.getBrowser();
+          const contextData = await this.browserPool.getContext(browser);
+          context = contextData.context;
+          contextId = contextData.contextId;
+        } else {
+          // Fallback to creating new browser if pool not available
+          browser = await chromium.launch({
+            headless: process.env.HEADLESS !== 'false',
+            args: [
+              '--no-sandbox',
+              '--disable-setuid-sandbox',
+              '--disable-dev-shm-usage',
+              '--disable-accelerated-2d-canvas',
+              '--no-first-run',
+              '--no-zygote',
+              '--disable-gpu'
+            ]
+          });
+          context = await browser.newContext({
+            viewport: { width: 1920, height: 1080 },
+            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+          });
+        }
+      }, signal);
+      
+      resource.watch();
       
       page = await context.newPage();
       
+      // Capture caption payloads as they come over the wire
+      const interceptor = new TranscriptInterceptor();
+      interceptor.attach(page);
+      
       // Block unnecessary resources for faster loading
       await page.route('**/*', route => {
         const blockedResourceTypes = ['image', 'stylesheet', 'font', 'media', 'other'];
@@ -70,12 +106,24 @@ class TranscriptExtractor {
         return route.continue();
       });
       
-      // Navigate to video
+      // Navigate to video. Shorts are opened on the watch page too: the
+      // Shorts player has no transcript entry point, the watch page does
       const url = `https://www.youtube.com/watch?v=${videoId}`;
-      await page.goto(url, {
-        waitUntil: 'networkidle',
-        timeout: 30000
-      });
+      await this.guard('navigation', async () => {
+        const response = await page.goto(url, {
+          waitUntil: 'networkidle',
+          timeout: 30000
+        });
+        
+        // Throttled clients get a 429 or are redirected to the "unusual traffic" page
+        if (response && (response.status() === 429 || response.url().includes('/sorry/'))) {
+          throw new ServiceError('RATE_LIMITED', 'YouTube is rate limiting requests');
+        }
+      }, signal);
+      
+      // Removed, private, age-restricted and members-only videos fail here
+      // instead of after every transcript button strategy has timed out
+      await this.uiDetector.assertPlayable(page);
       
       // Wait for video to load
       await page.waitForSelector('video', { timeout: 10000 });
@@ -84,58 +132,193 @@ class TranscriptExtractor {
       const uiVersion = await this.uiDetector.detectUIVersion(page);
       console.log('Detected YouTube UI:', uiVersion);
       
+      // YouTube may still redirect a Short into the Shorts player
+      const shortsLayout = await this.uiDetector.isShortsPage(page);
+      if (shortsLayout) {
+        console.log(`Video ${videoId} opened in the Shorts player`);
+      }
+      
       // Check if transcripts are available
       const hasTranscripts = await this.uiDetector.hasTranscriptsAvailable(page);
       if (!hasTranscripts) {
-        throw new Error('No transcripts available for this video');
+        throw new ServiceError('NO_TRANSCRIPT', 'No transcripts available for this video');
       }
       
-      // Find and click transcript button
-      const transcriptButton = await this.uiDetector.findTranscriptButton(page);
-      if (!transcriptButton) {
-        throw new Error('Could not find transcript button');
+      // Resolve requested language and track kind against the video's caption tracks
+      const captionTracks = await this.uiDetector.getCaptionTracks(page);
+      let track = null;
+      
+      if (transcriptType !== 'any' && captionTracks.length > 0) {
+        const matchingKind = this.uiDetector.filterTracksByKind(captionTracks, transcriptType);
+        
+        if (matchingKind.length === 0) {
+          throw new ServiceError('NO_TRANSCRIPT', `No ${transcriptType} transcript available for this video`, {
+            availableTrackKinds: [...new Set(captionTracks.map(t => this.uiDetector.getTrackKind(t)))]
+          });
+        }
+        
+        if (languages.length === 0) {
+          track = matchingKind[0];
+        }
       }
       
-      await transcriptButton.click();
+      if (languages.length > 0 && captionTracks.length > 0) {
+        track = this.uiDetector.findCaptionTrack(captionTracks, languages, { kind: transcriptType });
+        
+        if (!track) {
+          throw new ServiceError(
+            'NO_TRANSCRIPT',
+            `Transcript not available in requested language(s): ${languages.join(', ')}`,
+            {
+              availableLanguages: this.uiDetector
+                .filterTracksByKind(captionTracks, transcriptType)
+                .map(t => t.languageCode)
+            }
+          );
+        }
+      }
       
-      // Wait for transcript panel
-      const panel = await this.uiDetector.waitForTranscriptPanel(page);
+      // Strategy 1: fetch the caption track directly and read it from the network
+      let segments = [];
+      let source = null;
+      let languageLabel = null;
+      let deliveredTrack = track;
+      const directTrack = track || (captionTracks.length === 1 ? captionTracks[0] : null);
       
-      // Extract segments
-      const segments = await this.uiDetector.extractSegments(page, panel);
+      if (directTrack) {
+        await interceptor.requestTrack(page, directTrack);
+        segments = interceptor.getSegments({
+          languageCode: directTrack.languageCode,
+          kind: this.uiDetector.getTrackKind(directTrack)
+        });
+        
+        if (segments.length > 0) {
+          source = 'network';
+          deliveredTrack = directTrack;
+        }
+      }
       
-      if (!segments || segments.length === 0) {
-        throw new Error('No transcript segments found');
+      // Strategy 2: open the transcript panel, preferring its get_transcript response
+      if (segments.length === 0) {
+        let panelRequestedAt = Date.now();
+        
+        // Find and click transcript button
+        const transcriptButton = await this.guard('uiDetection', async () => {
+          const button = await this.uiDetector.findTranscriptButton(page, {
+            shorts: shortsLayout,
+            attempts: options.attempts
+          });
+          if (!button) {
+            throw new ServiceError('UI_CHANGED', 'Could not find transcript button');
+          }
+          return button;
+        }, signal);
+        
+        await transcriptButton.click();
+        
+        // Wait for transcript panel
+        let panel = await this.uiDetector.waitForTranscriptPanel(page);
+        
+        // Switch to the requested language if the panel opened with another track
+        const switchStartedAt = Date.now();
+        if (track && await this.uiDetector.selectTranscriptLanguage(page, panel, track)) {
+          panelRequestedAt = switchStartedAt;
+          panel = await this.uiDetector.waitForTranscriptPanel(page);
+        }
+        
+        languageLabel = await this.uiDetector.getTranscriptLanguage(page, panel);
+        
+        // Without caption tracks the panel's label is the only evidence of
+        // its language, so a requested language has to be confirmed from it
+        if (captionTracks.length === 0 && languages.length > 0 &&
+            !languages.some(language => this.isLanguage(null, languageLabel, language))) {
+          throw new ServiceError(
+            'NO_TRANSCRIPT',
+            `Could not confirm a transcript in requested language(s): ${languages.join(', ')}`,
+            { transcriptLanguage: languageLabel }
+          );
+        }
+        
+        // Likewise a required kind, which the label marks as "(auto-generated)"
+        if (captionTracks.length === 0 && transcriptType !== 'any' &&
+            this.uiDetector.getTrackKindFromLabel(languageLabel) !== transcriptType) {
+          throw new ServiceError(
+            'NO_TRANSCRIPT',
+            `Could not confirm a ${transcriptType} transcript for this video`,
+            { transcriptLanguage: languageLabel }
+          );
+        }
+        
+        deliveredTrack = track ||
+          this.uiDetector.findCaptionTrack(captionTracks, [languageLabel].filter(Boolean));
+        
+        segments = await interceptor.waitForSegments({
+          since: panelRequestedAt,
+          languageCode: deliveredTrack?.languageCode,
+          kind: deliveredTrack
+            ? this.uiDetector.getTrackKind(deliveredTrack)
+            : transcriptType !== 'any' ? transcriptType : null,
+          timeout: 2000
+        });
+        source = 'network';
+        
+        // Strategy 3: scrape the rendered panel
+        if (segments.length === 0) {
+          const domSegments = await this.uiDetector.extractSegments(page, panel);
+          segments = (domSegments || []).map(segment => ({
+            text: segment.text,
+            start: this.parseTimestamp(segment.timestamp)
+          }));
+          source = 'dom';
+        }
+      }
+      
+      if (segments.length === 0) {
+        throw new ServiceError('UI_CHANGED', 'No transcript segments found');
       }
       
       // Get video metadata
       const title = await page.$eval(
-        'h1.title yt-formatted-string, h1 yt-formatted-string',
+        'h1.title yt-formatted-string, h1 yt-formatted-string, ytd-reel-video-renderer[is-active] h2',
         el => el.textContent?.trim()
       ).catch(() => 'Unknown Title');
       
       const channel = await page.$eval(
-        '#channel-name yt-formatted-string, #owner #text',
+        '#channel-name yt-formatted-string, #owner #text, ytd-reel-video-renderer[is-active] #channel-name #text',
         el => el.textContent?.trim()
       ).catch(() => 'Unknown Channel');
       
-      // Format transcript
-      const transcript = segments.map(segment => ({
-        text: segment.text,
-        start: this.parseTimestamp(segment.timestamp),
-        duration: 5 // Default duration, could be calculated
-      }));
+      const videoDuration = await this.getVideoDuration(page);
+      const transcript = this.calculateDurations(segments, videoDuration);
+      const { publishedAt, isLive } = await this.uiDetector.getPublishInfo(page);
       
       return {
         videoId,
         title,
         channel,
+        language: deliveredTrack?.languageCode || null,
+        languageName: deliveredTrack?.name || languageLabel || null,
+        requestedLanguage: options.language || null,
+        fallbackUsed: languages.length > 0 &&
+          !this.isLanguage(deliveredTrack, languageLabel, options.language),
+        trackKind: deliveredTrack
+          ? this.uiDetector.getTrackKind(deliveredTrack)
+          : this.uiDetector.getTrackKindFromLabel(languageLabel),
         transcript,
         segmentCount: segments.length,
+        videoDuration,
+        isShort: Boolean(options.isShort || shortsLayout),
+        publishedAt,
+        isLive,
+        source,
         extractedAt: new Date().toISOString()
       };
       
     } catch (error) {
+      if (signal?.aborted) {
+        throw resource.reasonFor(error);
+      }
+      
       // Take screenshot for debugging
       if (page && process.env.DEBUG_SCREENSHOTS === 'true') {
         try {
@@ -148,6 +331,11 @@ class TranscriptExtractor {
         }
       }
       
+      // Playwright timeouts (navigation, selectors) surface as TIMEOUT
+      if (error.name === 'TimeoutError') {
+        throw new ServiceError('TIMEOUT', error.message, { originalError: error });
+      }
+      
       throw error;
       
     } finally {
@@ -155,15 +343,63 @@ class TranscriptExtractor {
       if (page) await page.close().catch(() => {});
       
       // If using browser pool, release context; otherwise close everything
-      if (this.browserPool && contextId) {
-        await this.browserPool.releaseContext(contextId);
-      } else {
-        if (context) await context.close().catch(() => {});
-        if (browser) await browser.close().catch(() => {});
-      }
+      await resource.close();
     }
   }
   
+  /**
+   * Run one stage of an extraction behind its failure domain's circuit breaker
+   */
+  guard(domain, operation, signal) {
+    if (!this.circuitBreakers) return operation();
+    return this.circuitBreakers.execute(domain, operation, { signal });
+  }
+  
+  /**
+   * Whether the delivered transcript is in `language`, judged by its caption
+   * track or, without one, by the transcript panel's label
+   */
+  isLanguage(track, label, language) {
+    if (!language) return false;
+    if (track) return Boolean(this.uiDetector.findCaptionTrack([track], [language]));
+    return Boolean(label) && this.uiDetector.matchesLanguageLabel(label, language);
+  }
+  
+  async getVideoDuration(page) {
+    // Live streams report Infinity and unloaded media NaN
+    const duration = await page.$eval('video', el => el.duration).catch(() => null);
+    return Number.isFinite(duration) && duration > 0 ? duration : null;
+  }
+  
+  calculateDurations(segments, videoDuration) {
+    const round = value => Math.round(value * 1000) / 1000;
+    
+    return segments.map((segment, index) => {
+      let duration = segment.duration;
+      
+      // Scraped segments only carry a start; derive the rest from the timeline
+      if (!(duration > 0)) {
+        const next = segments[index + 1];
+        
+        if (next) {
+          duration = next.start - segment.start;
+        } else if (videoDuration > segment.start) {
+          duration = videoDuration - segment.start;
+        } else {
+          duration = DEFAULT_LAST_SEGMENT_DURATION;
+        }
+      }
+      
+      duration = round(Math.max(0, duration));
+      
+      return {
+        ...segment,
+        duration,
+        end: round(segment.start + duration)
+      };
+    });
+  }
+  
   parseTimestamp(timestamp) {
     // Convert "MM:SS" or "HH:MM:SS" to seconds
     const parts = timestamp.split(':').map(Number);
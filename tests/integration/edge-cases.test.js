@@ -7,6 +7,7 @@ const { CircuitBreaker } = require('../../lib/circuit-breaker');
 const { RetryManager } = require('../../lib/retry-manager');
 const { CacheManager } = require('../../lib/cache-manager');
 const { RequestQueue } = require('../../lib/request-queue');
+const { SingleFlight } = require('../../lib/single-flight');
 const { YouTubeUIDetector } = require('../../lib/youtube-ui-detector');
 
 describe('Edge Case Tests', () => {
@@ -157,6 +158,8 @@ describe('Edge Case Tests', () => {
         return 'expensive result';
       };
       
+      const singleFlight = new SingleFlight();
+      
       // Multiple requests for same key while computing
       const promises = [];
       for (let i = 0; i < 5; i++) {
@@ -164,20 +167,23 @@ describe('Edge Case Tests', () => {
           (async () => {
             const cached = cacheManager.get('expensive');
             if (!cached) {
-              const result = await expensiveComputation();
-              cacheManager.set('expensive', result);
-              return result;
+              return singleFlight.run('expensive', async () => {
+                const result = await expensiveComputation();
+                cacheManager.set('expensive', result);
+                return result;
+              });
             }
             return cached;
           })()
         );
       }
       
-      await Promise.all(promises);
+      const results = await Promise.all(promises);
       
-      // Should compute multiple times due to race condition
-      // This demonstrates need for cache-aside pattern with locking
-      expect(computeCount).toBeGreaterThan(1);
+      // Concurrent misses share the one in-flight computation
+      expect(computeCount).toBe(1);
+      expect(results).toEqual(Array(5).fill('expensive result'));
+      expect(singleFlight.getStats().coalesced).toBe(4);
     });
     
     it('should handle cache with circular references', () => {
@@ -0,0 +1,150 @@
+const { PlaylistExpander } = require('../../services/playlist-expander');
+
+describe('PlaylistExpander Integration Tests', () => {
+  let expander;
+  let mockPage;
+  let mockBrowserPool;
+  
+  beforeEach(() => {
+    mockPage = {
+      goto: jest.fn().mockResolvedValue({ status: () => 200 }),
+      waitForSelector: jest.fn().mockResolvedValue({}),
+      title: jest.fn().mockResolvedValue('Research Playlist - YouTube'),
+      evaluate: jest.fn(),
+      waitForTimeout: jest.fn().mockResolvedValue(undefined),
+      close: jest.fn().mockResolvedValue(undefined)
+    };
+    
+    mockBrowserPool = {
+      getBrowser: jest.fn().mockResolvedValue({}),
+      getContext: jest.fn().mockResolvedValue({
+        context: { newPage: jest.fn().mockResolvedValue(mockPage) },
+        contextId: 'ctx_1'
+      }),
+      releaseContext: jest.fn().mockResolvedValue(undefined)
+    };
+    
+    expander = new PlaylistExpander({
+      browserPool: mockBrowserPool,
+      scrollDelay: 1,
+      idleRounds: 2
+    });
+  });
+  
+  describe('Source parsing', () => {
+    it('should recognize playlist URLs and IDs', () => {
+      expect(expander.parseSource('https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf'))
+        .toMatchObject({ type: 'playlist', id: 'PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf' });
+      expect(expander.parseSource('https://youtube.com/watch?v=dQw4w9WgXcQ&list=PLxyz1234567890'))
+        .toMatchObject({ type: 'playlist', id: 'PLxyz1234567890' });
+      expect(expander.parseSource('UUBJycsmduvYEL83R_U4JriQ'))
+        .toMatchObject({ type: 'playlist' });
+    });
+    
+    it('should recognize channel handles, IDs and URLs', () => {
+      expect(expander.parseSource('@mkbhd')).toEqual({
+        type: 'channel',
+        id: '@mkbhd',
+        url: 'https://www.youtube.com/@mkbhd/videos'
+      });
+      expect(expander.parseSource('UCBJycsmduvYEL83R_U4JriQ').url)
+        .toBe('https://www.youtube.com/channel/UCBJycsmduvYEL83R_U4JriQ/videos');
+      expect(expander.parseSource('youtube.com/@mkbhd/shorts').id).toBe('@mkbhd');
+      expect(expander.parseSource('https://www.youtube.com/c/SomeChannel').url)
+        .toBe('https://www.youtube.com/c/SomeChannel/videos');
+    });
+    
+    it('should reject other sources', () => {
+      expect(expander.parseSource('dQw4w9WgXcQ')).toBeNull();
+      expect(expander.parseSource('https://vimeo.com/@someone')).toBeNull();
+      expect(expander.parseSource('')).toBeNull();
+    });
+  });
+  
+  describe('Expansion', () => {
+    it('should scroll until no new videos appear', async () => {
+      const pages = [['a', 'b'], ['a', 'b', 'c', 'd'], ['a', 'b', 'c', 'd'], ['a', 'b', 'c', 'd']];
+      let round = 0;
+      mockPage.evaluate.mockImplementation(async (fn) =>
+        (fn.toString().includes('scrollTo') ? undefined : pages[Math.min(round++, pages.length - 1)])
+      );
+      
+      const result = await expander.expand('@mkbhd');
+      
+      expect(mockPage.goto).toHaveBeenCalledWith(
+        'https://www.youtube.com/@mkbhd/videos',
+        expect.any(Object)
+      );
+      expect(result).toMatchObject({
+        source: { type: 'channel', id: '@mkbhd' },
+        title: 'Research Playlist',
+        videoIds: ['a', 'b', 'c', 'd'],
+        count: 4,
+        truncated: false
+      });
+    });
+    
+    it('should stop at the requested limit', async () => {
+      mockPage.evaluate.mockResolvedValue(['a', 'b', 'c', 'd', 'e']);
+      
+      const result = await expander.expand('PLxyz1234567890', { limit: 3 });
+      
+      expect(result.videoIds).toEqual(['a', 'b', 'c']);
+      expect(result.truncated).toBe(true);
+    });
+    
+    it('should not report a list of exactly the limit as truncated', async () => {
+      mockPage.evaluate.mockResolvedValue(['a', 'b', 'c']);
+      
+      const result = await expander.expand('PLxyz1234567890', { limit: 3 });
+      
+      expect(result.videoIds).toEqual(['a', 'b', 'c']);
+      expect(result.truncated).toBe(false);
+    });
+    
+    it('should report missing playlists', async () => {
+      mockPage.goto.mockResolvedValue({ status: () => 404 });
+      
+      await expect(expander.expand('PLxyz1234567890'))
+        .rejects.toMatchObject({ code: 'SOURCE_NOT_FOUND', status: 404, message: 'Playlist not found: PLxyz1234567890' });
+    });
+    
+    it('should reject unrecognized sources without using a browser', async () => {
+      await expect(expander.expand('not a playlist')).rejects.toMatchObject({ code: 'INVALID_SOURCE', status: 400 });
+      expect(mockBrowserPool.getBrowser).not.toHaveBeenCalled();
+    });
+    
+    it('should release the browser context', async () => {
+      mockPage.evaluate.mockResolvedValue([]);
+      
+      await expander.expand('@mkbhd');
+      
+      expect(mockPage.close).toHaveBeenCalled();
+      expect(mockBrowserPool.releaseContext).toHaveBeenCalledWith('ctx_1');
+    });
+    
+    it('should release the browser context as soon as the expansion is aborted', async () => {
+      const controller = new AbortController();
+      mockPage.evaluate.mockImplementation(async (fn) => {
+        if (!fn.toString().includes('scrollTo')) controller.abort(new Error('Client disconnected'));
+        return ['a'];
+      });
+      
+      await expect(expander.expand('@mkbhd', { signal: controller.signal }))
+        .rejects.toThrow('Client disconnected');
+      
+      expect(mockPage.close).toHaveBeenCalledTimes(1);
+      expect(mockBrowserPool.releaseContext).toHaveBeenCalledTimes(1);
+      expect(mockPage.evaluate).toHaveBeenCalledTimes(2);
+    });
+    
+    it('should not open a browser when already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Client disconnected'));
+      
+      await expect(expander.expand('@mkbhd', { signal: controller.signal }))
+        .rejects.toThrow('Client disconnected');
+      expect(mockBrowserPool.getBrowser).not.toHaveBeenCalled();
+    });
+  });
+});
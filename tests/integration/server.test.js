@@ -13,8 +13,12 @@ describe('Server Integration Tests', () => {
       
       expect(response.body).toHaveProperty('status', 'healthy');
       expect(response.body).toHaveProperty('circuitBreaker');
+      expect(response.body.circuitBreakers).toHaveProperty('navigation');
+      expect(response.body.circuitBreakers).toHaveProperty('uiDetection');
+      expect(response.body.circuitBreakers).toHaveProperty('browserLaunch');
       expect(response.body).toHaveProperty('cache');
       expect(response.body).toHaveProperty('queue');
+      expect(response.body.warmUp).toHaveProperty('status');
     });
   });
   
@@ -35,6 +39,10 @@ describe('Server Integration Tests', () => {
       expect(response.body).toHaveProperty('circuitBreaker');
       expect(response.body).toHaveProperty('retryManager');
       expect(response.body).toHaveProperty('queue');
+      expect(response.body.coalescing).toHaveProperty('coalesced');
+      expect(response.body.retryPolicies.NORMAL).toHaveProperty('maxAttempts');
+      expect(response.body.retryPolicies.LOW.maxAttempts)
+        .toBeLessThanOrEqual(response.body.retryPolicies.NORMAL.maxAttempts);
     });
   });
   
@@ -43,7 +51,7 @@ describe('Server Integration Tests', () => {
     jest.mock('../../services/transcript-extractor', () => ({
       TranscriptExtractor: jest.fn().mockImplementation(() => ({
         extract: jest.fn().mockResolvedValue({
-          videoId: 'test123',
+          videoId: 'test1234567',
           title: 'Test Video',
           channel: 'Test Channel',
           transcript: [
@@ -59,7 +67,7 @@ describe('Server Integration Tests', () => {
     it('should require API key', async () => {
       await request(app)
         .post('/extract')
-        .send({ videoId: 'test123' })
+        .send({ videoId: 'test1234567' })
         .expect(401);
     });
     
@@ -71,30 +79,183 @@ describe('Server Integration Tests', () => {
         .expect(400);
       
       expect(response.body.error).toBe('Video ID is required');
+      expect(response.body.code).toBe('VIDEO_ID_REQUIRED');
+    });
+    
+    it('should reject malformed video IDs before extraction', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'not-an-id' })
+        .expect(400);
+      
+      expect(response.body.code).toBe('INVALID_VIDEO_ID');
+    });
+    
+    it('should reject non-YouTube URLs', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'https://vimeo.com/123456789' })
+        .expect(400);
+      
+      expect(response.body.code).toBe('UNSUPPORTED_URL');
+    });
+    
+    it('should accept a full YouTube URL and echo the start time', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ url: 'https://youtu.be/test1234567?t=1m30s' })
+        .expect(200);
+      
+      expect(response.body).toHaveProperty('videoId', 'test1234567');
+      expect(response.body).toHaveProperty('startTime', 90);
+    });
+    
+    it('should reject a non-string language', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'test1234567', language: ['es'] })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Language must be a string');
+    });
+    
+    it('should reject malformed fallback languages', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'test1234567', language: 'es', fallbackLanguages: 'fr' })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Fallback languages must be an array of strings');
+    });
+    
+    it('should reject an unknown transcript type', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'test1234567', transcriptType: 'human' })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Transcript type must be one of: manual, auto, any');
     });
     
     it('should extract transcript successfully', async () => {
       const response = await request(app)
         .post('/extract')
         .set('x-api-key', 'test-api-key')
-        .send({ videoId: 'test123' })
+        .send({ videoId: 'test1234567' })
         .expect(200);
       
-      expect(response.body).toHaveProperty('videoId', 'test123');
+      expect(response.body).toHaveProperty('videoId', 'test1234567');
       expect(response.body).toHaveProperty('title');
       expect(response.body).toHaveProperty('transcript');
       expect(response.body.transcript).toHaveLength(2);
     });
     
+    it('should report the attempts made for an extraction', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'attempts123' })
+        .expect(200);
+      
+      expect(response.body.attempts).toMatchObject({
+        total: 1,
+        retries: { queue: 0, retryManager: 0, uiDetector: 0 }
+      });
+      expect(response.body.attempts.elapsed).toBeLessThanOrEqual(response.body.attempts.timeBudget);
+    });
+    
+    it('should report the attempts made for a failed extraction', async () => {
+      const { TranscriptExtractor } = jest.requireActual('../../services/transcript-extractor');
+      const error = Object.assign(new Error('Could not find transcript button'), { code: 'UI_CHANGED' });
+      const extract = jest.spyOn(TranscriptExtractor.prototype, 'extract').mockRejectedValue(error);
+      
+      try {
+        const response = await request(app)
+          .post('/extract')
+          .set('x-api-key', 'test-api-key')
+          .send({ videoId: 'exhausted01', retry: { maxAttempts: 2 } })
+          .expect(502);
+        
+        expect(response.body.code).toBe('UI_CHANGED');
+        expect(response.body.attempts).toMatchObject({
+          total: 2,
+          maxAttempts: 2,
+          retries: { queue: 0, retryManager: 1, uiDetector: 0 },
+          elapsed: expect.any(Number),
+          timeBudget: expect.any(Number)
+        });
+      } finally {
+        extract.mockRestore();
+      }
+    });
+    
+    it('should let a request lower its retry limits', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'retrylimit1', retry: { maxAttempts: 1, timeBudget: 5000 } })
+        .expect(200);
+      
+      expect(response.body.attempts).toMatchObject({ maxAttempts: 1, timeBudget: 5000 });
+    });
+    
+    it('should reject invalid retry limits', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'test1234567', retry: { maxAttempts: -1 } })
+        .expect(400);
+      
+      expect(response.body.error).toMatch(/^Retry must be an object/);
+    });
+    
+    it('should reject unsupported formats', async () => {
+      const response = await request(app)
+        .post('/extract?format=docx')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'test1234567' })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Format must be one of: json, srt, vtt, txt, tsv');
+    });
+    
+    it('should render SRT when requested', async () => {
+      const response = await request(app)
+        .post('/extract?format=srt')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'test1234567' })
+        .expect('Content-Type', /application\/x-subrip/)
+        .expect(200);
+      
+      expect(response.text).toContain('00:00:00,000 --> 00:00:05,000');
+    });
+    
+    it('should accept the format in the request body', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'test1234567', format: 'vtt' })
+        .expect('Content-Type', /text\/vtt/)
+        .expect(200);
+      
+      expect(response.text.startsWith('WEBVTT')).toBe(true);
+    });
+    
     it('should handle priority headers', async () => {
       const response = await request(app)
         .post('/extract')
         .set('x-api-key', 'test-api-key')
         .set('x-priority', 'high')
-        .send({ videoId: 'test123' })
+        .send({ videoId: 'test1234567' })
         .expect(200);
       
-      expect(response.body).toHaveProperty('videoId', 'test123');
+      expect(response.body).toHaveProperty('videoId', 'test1234567');
     });
     
     it('should return cached results', async () => {
@@ -102,18 +263,20 @@ describe('Server Integration Tests', () => {
       await request(app)
         .post('/extract')
         .set('x-api-key', 'test-api-key')
-        .send({ videoId: 'cached123' })
+        .send({ videoId: 'cached12345' })
         .expect(200);
       
       // Second request should be cached
       const response = await request(app)
         .post('/extract')
         .set('x-api-key', 'test-api-key')
-        .send({ videoId: 'cached123' })
+        .send({ videoId: 'cached12345' })
         .expect(200);
       
       // Note: In real test, we'd verify fromCache flag
-      expect(response.body).toHaveProperty('videoId', 'cached123');
+      expect(response.body).toHaveProperty('videoId', 'cached12345');
+      expect(response.headers['x-cache']).toBe('HIT');
+      expect(response.headers).toHaveProperty('age');
     });
     
     it('should handle circuit breaker open state', async () => {
@@ -131,6 +294,202 @@ describe('Server Integration Tests', () => {
     });
   });
   
+  describe('Jobs API', () => {
+    it('should require API key', async () => {
+      await request(app)
+        .post('/jobs')
+        .send({ videoId: 'test1234567' })
+        .expect(401);
+    });
+    
+    it('should validate job options like /extract', async () => {
+      const response = await request(app)
+        .post('/jobs')
+        .set('x-api-key', 'test-api-key')
+        .send({})
+        .expect(400);
+      
+      expect(response.body.error).toBe('Video ID is required');
+    });
+    
+    it('should accept a job and report its status', async () => {
+      const created = await request(app)
+        .post('/jobs')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'job12345678' })
+        .expect(202);
+      
+      expect(created.body).toHaveProperty('id');
+      expect(created.body).toHaveProperty('videoId', 'job12345678');
+      expect(created.headers.location).toBe(`/jobs/${created.body.id}`);
+      
+      const status = await request(app)
+        .get(`/jobs/${created.body.id}`)
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(['queued', 'processing', 'retrying', 'completed', 'failed'])
+        .toContain(status.body.status);
+    });
+    
+    it('should cancel a job once', async () => {
+      const created = await request(app)
+        .post('/jobs')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'cancel12345' })
+        .expect(202);
+      
+      const cancelled = await request(app)
+        .delete(`/jobs/${created.body.id}`)
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(cancelled.body.status).toBe('cancelled');
+      
+      await request(app)
+        .delete(`/jobs/${created.body.id}`)
+        .set('x-api-key', 'test-api-key')
+        .expect(409);
+    });
+    
+    it('should reject invalid callback URLs', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'test1234567', callbackUrl: 'ftp://example.com/hook' })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Callback URL must be an http(s) URL');
+      expect(response.body.code).toBe('INVALID_CALLBACK_URL');
+    });
+    
+    it('should reject callback URLs pointing at private addresses', async () => {
+      for (const callbackUrl of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook']) {
+        const response = await request(app)
+          .post('/jobs')
+          .set('x-api-key', 'test-api-key')
+          .send({ videoId: 'test1234567', callbackUrl })
+          .expect(400);
+        
+        expect(response.body.code).toBe('INVALID_CALLBACK_URL');
+      }
+    });
+    
+    it('should answer /extract with a job when a callback URL is given', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'callback123', callbackUrl: 'http://callbacks.invalid/hook' })
+        .expect(202);
+      
+      expect(response.body).toHaveProperty('id');
+      expect(response.headers.location).toBe(`/jobs/${response.body.id}`);
+    });
+    
+    it('should report webhook deliveries in stats', async () => {
+      const response = await request(app)
+        .get('/stats')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(response.body.webhooks).toMatchObject({
+        total: expect.any(Number),
+        delivered: expect.any(Number),
+        failed: expect.any(Number)
+      });
+    });
+    
+    it('should return 404 for unknown jobs', async () => {
+      await request(app)
+        .get('/jobs/req_unknown')
+        .set('x-api-key', 'test-api-key')
+        .expect(404);
+    });
+  });
+  
+  describe('Batch extraction', () => {
+    it('should require a non-empty videos array', async () => {
+      const response = await request(app)
+        .post('/extract/batch')
+        .set('x-api-key', 'test-api-key')
+        .send({ videos: [] })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Videos must be a non-empty array');
+    });
+    
+    it('should report invalid items by index', async () => {
+      const response = await request(app)
+        .post('/extract/batch')
+        .set('x-api-key', 'test-api-key')
+        .send({ videos: ['batch000001', { videoId: 'batch000002', transcriptType: 'human' }] })
+        .expect(400);
+      
+      expect(response.body.items).toEqual([
+        { index: 1, error: 'Transcript type must be one of: manual, auto, any' }
+      ]);
+    });
+    
+    it('should accept a batch, deduplicate it and report progress', async () => {
+      const created = await request(app)
+        .post('/extract/batch')
+        .set('x-api-key', 'test-api-key')
+        .send({
+          videos: ['batch000001', 'batch000001', { videoId: 'batch000002', language: 'es' }],
+          options: { transcriptType: 'any' }
+        })
+        .expect(202);
+      
+      expect(created.body.progress).toMatchObject({ total: 2, duplicates: 1 });
+      expect(created.headers.location).toBe(`/extract/batch/${created.body.id}`);
+      
+      const status = await request(app)
+        .get(`/extract/batch/${created.body.id}`)
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(status.body.items).toHaveLength(2);
+      expect(status.body.items[1]).toMatchObject({ videoId: 'batch000002', language: 'es' });
+    });
+    
+    it('should return 404 for unknown batches', async () => {
+      await request(app)
+        .get('/extract/batch/batch_unknown')
+        .set('x-api-key', 'test-api-key')
+        .expect(404);
+    });
+  });
+  
+  describe('Playlist expansion', () => {
+    it('should require API key', async () => {
+      await request(app)
+        .post('/expand')
+        .send({ source: '@mkbhd' })
+        .expect(401);
+    });
+    
+    it('should reject unrecognized sources', async () => {
+      const response = await request(app)
+        .post('/expand')
+        .set('x-api-key', 'test-api-key')
+        .send({ source: 'https://vimeo.com/123' })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Unrecognized playlist or channel: https://vimeo.com/123');
+      expect(response.body.code).toBe('INVALID_SOURCE');
+    });
+    
+    it('should validate extraction options before expanding', async () => {
+      const response = await request(app)
+        .post('/expand')
+        .set('x-api-key', 'test-api-key')
+        .send({ source: '@mkbhd', extract: true, options: { transcriptType: 'human' } })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Transcript type must be one of: manual, auto, any');
+    });
+  });
+  
   describe('Error Handling', () => {
     it('should handle extraction errors gracefully', async () => {
       // Mock extraction failure
@@ -143,13 +502,349 @@ describe('Server Integration Tests', () => {
       const response = await request(app)
         .post('/extract')
         .set('x-api-key', 'test-api-key')
-        .send({ videoId: 'error123' })
+        .send({ videoId: 'error123456' })
         .expect(500);
       
       expect(response.body).toHaveProperty('error');
     });
   });
   
+  describe('GET /transcripts/:videoId', () => {
+    it('should require API key', async () => {
+      await request(app)
+        .get('/transcripts/test1234567')
+        .expect(401);
+    });
+    
+    it('should reject invalid video IDs', async () => {
+      const response = await request(app)
+        .get('/transcripts/bad')
+        .set('x-api-key', 'test-api-key')
+        .expect(400);
+      
+      expect(response.body.code).toBe('INVALID_VIDEO_ID');
+    });
+    
+    it('should return caching validators', async () => {
+      const response = await request(app)
+        .get('/transcripts/read1234567')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(response.body).toHaveProperty('videoId');
+      expect(response.headers.etag).toMatch(/^W\/".+"$/);
+      expect(response.headers['last-modified']).toBe(new Date('2024-01-01T00:00:00Z').toUTCString());
+      expect(response.headers['cache-control']).toMatch(/^private, max-age=\d+, stale-while-revalidate=\d+$/);
+    });
+    
+    it('should keep authenticated transcripts out of shared caches', async () => {
+      const response = await request(app)
+        .get('/transcripts/read1234567')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(response.headers['cache-control']).not.toMatch(/public/);
+      expect(response.headers['cache-control']).toMatch(/\bprivate\b/);
+    });
+    
+    it('should answer 304 when the ETag matches', async () => {
+      const first = await request(app)
+        .get('/transcripts/read1234567')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      const second = await request(app)
+        .get('/transcripts/read1234567')
+        .set('x-api-key', 'test-api-key')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+      
+      expect(second.text).toBeFalsy();
+      expect(second.headers.etag).toBe(first.headers.etag);
+    });
+    
+    it('should serve repeat reads from cache', async () => {
+      const response = await request(app)
+        .get('/transcripts/read1234567')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(response.headers['x-cache']).toBe('HIT');
+    });
+    
+    it('should use a different ETag per format', async () => {
+      const json = await request(app)
+        .get('/transcripts/read1234567')
+        .set('x-api-key', 'test-api-key');
+      const srt = await request(app)
+        .get('/transcripts/read1234567?format=srt')
+        .set('x-api-key', 'test-api-key');
+      
+      expect(srt.headers.etag).not.toBe(json.headers.etag);
+    });
+  });
+  
+  describe('Cache administration', () => {
+    it('should require API key', async () => {
+      await request(app)
+        .get('/cache')
+        .expect(401);
+      
+      await request(app)
+        .delete('/cache')
+        .expect(401);
+    });
+    
+    it('should list, inspect and purge cached transcripts', async () => {
+      await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'admin123456', language: 'en' })
+        .expect(200);
+      
+      const list = await request(app)
+        .get('/cache')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(list.body.entries).toContainEqual(expect.objectContaining({
+        videoId: 'admin123456',
+        language: 'en',
+        hits: expect.any(Number),
+        size: expect.any(Number),
+        age: expect.any(Number)
+      }));
+      
+      const entry = await request(app)
+        .get('/cache/admin123456')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(entry.body.entries).toHaveLength(1);
+      
+      const purged = await request(app)
+        .delete('/cache/admin123456')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(purged.body).toEqual({ videoId: 'admin123456', deleted: 1, auditId: expect.any(String) });
+      
+      await request(app)
+        .get('/cache/admin123456')
+        .set('x-api-key', 'test-api-key')
+        .expect(404);
+    });
+    
+    it('should reject invalid video IDs', async () => {
+      const response = await request(app)
+        .get('/cache/bad')
+        .set('x-api-key', 'test-api-key')
+        .expect(400);
+      
+      expect(response.body.code).toBe('INVALID_VIDEO_ID');
+    });
+    
+    it('should purge the whole cache', async () => {
+      const response = await request(app)
+        .delete('/cache')
+        .set('x-api-key', 'test-api-key')
+        .set('x-admin-user', 'oncall')
+        .expect(200);
+      
+      expect(response.body).toHaveProperty('deleted');
+      
+      const audit = await request(app)
+        .get('/admin/audit?action=cache.clear&limit=1')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(audit.body.entries[0]).toMatchObject({
+        id: response.body.auditId,
+        target: 'cache',
+        actor: { user: 'oncall' },
+        result: { deleted: response.body.deleted }
+      });
+    });
+    
+    it('should require the admin key to purge', async () => {
+      process.env.ADMIN_API_KEY = 'test-admin-key';
+      
+      try {
+        await request(app)
+          .delete('/cache')
+          .set('x-api-key', 'test-api-key')
+          .expect(401);
+        
+        await request(app)
+          .delete('/cache/admin123456')
+          .set('x-api-key', 'test-api-key')
+          .expect(401);
+        
+        await request(app)
+          .delete('/cache')
+          .set('x-api-key', 'test-admin-key')
+          .expect(200);
+      } finally {
+        delete process.env.ADMIN_API_KEY;
+      }
+    });
+  });
+  
+  describe('Administration', () => {
+    it('should require API key', async () => {
+      await request(app)
+        .post('/admin/queue/pause')
+        .expect(401);
+      
+      await request(app)
+        .get('/admin/audit')
+        .expect(401);
+    });
+    
+    it('should force the circuit breaker open and closed', async () => {
+      const opened = await request(app)
+        .post('/admin/circuit-breaker/open')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(opened.body).toMatchObject({ breaker: 'overall', state: 'OPEN', forced: true });
+      
+      const rejected = await request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'forced12345' })
+        .expect(503);
+      
+      expect(rejected.body.code).toBe('CIRCUIT_OPEN');
+      
+      const closed = await request(app)
+        .post('/admin/circuit-breaker/close')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(closed.body).toMatchObject({ state: 'CLOSED', forced: false });
+    });
+    
+    it('should control per-stage breakers by name', async () => {
+      const response = await request(app)
+        .post('/admin/circuit-breaker/reset')
+        .set('x-api-key', 'test-api-key')
+        .send({ breaker: 'navigation' })
+        .expect(200);
+      
+      expect(response.body).toMatchObject({ breaker: 'navigation', state: 'CLOSED' });
+      
+      await request(app)
+        .post('/admin/circuit-breaker/reset')
+        .set('x-api-key', 'test-api-key')
+        .send({ breaker: 'unknown' })
+        .expect(404);
+      
+      await request(app)
+        .post('/admin/circuit-breaker/explode')
+        .set('x-api-key', 'test-api-key')
+        .expect(400);
+    });
+    
+    it('should pause, drain and resume the queue', async () => {
+      await request(app)
+        .post('/admin/queue/pause')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      const pending = request(app)
+        .post('/extract')
+        .set('x-api-key', 'test-api-key')
+        .send({ videoId: 'paused12345' })
+        .then(response => response);
+      await testUtils.wait(100);
+      
+      const status = await request(app)
+        .get('/admin/queue')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(status.body).toMatchObject({ paused: true, waiting: 1 });
+      
+      const drained = await request(app)
+        .post('/admin/queue/drain')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(drained.body.cancelled).toBe(1);
+      expect((await pending).body.code).toBe('CANCELLED');
+      
+      const resumed = await request(app)
+        .post('/admin/queue/resume')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(resumed.body.paused).toBe(false);
+    });
+    
+    it('should change queue limits at runtime', async () => {
+      const response = await request(app)
+        .patch('/admin/queue')
+        .set('x-api-key', 'test-api-key')
+        .send({ maxConcurrent: 5, rateLimitMax: 100 })
+        .expect(200);
+      
+      expect(response.body).toMatchObject({ maxConcurrent: 5, rateLimitMax: 100 });
+      
+      await request(app)
+        .patch('/admin/queue')
+        .set('x-api-key', 'test-api-key')
+        .send({ maxConcurrent: 0 })
+        .expect(400);
+    });
+    
+    it('should record every action in the audit log', async () => {
+      await request(app)
+        .post('/admin/circuit-breaker/reset')
+        .set('x-api-key', 'test-api-key')
+        .set('x-admin-user', 'oncall')
+        .expect(200);
+      
+      const response = await request(app)
+        .get('/admin/audit?limit=1')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(response.body.entries).toHaveLength(1);
+      expect(response.body.entries[0]).toMatchObject({
+        action: 'circuit-breaker.reset',
+        target: 'overall',
+        actor: { user: 'oncall' },
+        result: { to: 'CLOSED' }
+      });
+    });
+    
+    it('should report the total for the filtered action', async () => {
+      await request(app)
+        .post('/admin/queue/pause')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      await request(app)
+        .post('/admin/queue/resume')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      const all = await request(app)
+        .get('/admin/audit')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      const paused = await request(app)
+        .get('/admin/audit?action=queue.pause&limit=1000')
+        .set('x-api-key', 'test-api-key')
+        .expect(200);
+      
+      expect(paused.body.entries.length).toBeGreaterThan(0);
+      expect(paused.body.entries.every(entry => entry.action === 'queue.pause')).toBe(true);
+      expect(paused.body.total).toBe(paused.body.entries.length);
+      expect(paused.body.total).toBeLessThan(all.body.total);
+    });
+  });
+  
   describe('Request Queue', () => {
     it('should handle concurrent requests', async () => {
       const promises = [];
@@ -172,5 +867,28 @@ describe('Server Integration Tests', () => {
         expect(result.body).toHaveProperty('videoId');
       });
     });
+    
+    it('should coalesce concurrent requests for the same video', async () => {
+      const before = await request(app)
+        .get('/stats')
+        .set('x-api-key', 'test-api-key');
+      
+      const results = await Promise.all(
+        Array.from({ length: 3 }, () =>
+          request(app)
+            .post('/extract')
+            .set('x-api-key', 'test-api-key')
+            .send({ videoId: 'coalesce123' })
+        )
+      );
+      
+      results.forEach(result => expect(result.status).toBe(200));
+      
+      const after = await request(app)
+        .get('/stats')
+        .set('x-api-key', 'test-api-key');
+      
+      expect(after.body.coalescing.executed - before.body.coalescing.executed).toBe(1);
+    });
   });
 });
\ No newline at end of file
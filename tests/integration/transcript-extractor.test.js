@@ -23,7 +23,10 @@ describe('TranscriptExtractor Integration Tests', () => {
     mockPage = {
       goto: jest.fn().mockResolvedValue(undefined),
       waitForSelector: jest.fn().mockResolvedValue({}),
-      $eval: jest.fn(),
+      $eval: jest.fn().mockResolvedValue(null),
+      route: jest.fn().mockResolvedValue(undefined),
+      on: jest.fn(),
+      evaluate: jest.fn().mockResolvedValue(undefined),
       close: jest.fn().mockResolvedValue(undefined),
       screenshot: jest.fn().mockResolvedValue(undefined)
     };
@@ -58,6 +61,9 @@ describe('TranscriptExtractor Integration Tests', () => {
         desktop: true
       }),
       hasTranscriptsAvailable: jest.fn().mockResolvedValue(true),
+      isShortsPage: jest.fn().mockResolvedValue(false),
+      assertPlayable: jest.fn().mockResolvedValue(undefined),
+      getPublishInfo: jest.fn().mockResolvedValue({ publishedAt: '2024-01-15', isLive: false }),
       findTranscriptButton: jest.fn().mockResolvedValue({
         click: jest.fn().mockResolvedValue(undefined)
       }),
@@ -65,7 +71,26 @@ describe('TranscriptExtractor Integration Tests', () => {
       extractSegments: jest.fn().mockResolvedValue([
         { timestamp: '0:00', text: 'Hello world' },
         { timestamp: '0:05', text: 'This is a test' }
-      ])
+      ]),
+      getCaptionTracks: jest.fn().mockResolvedValue([
+        { languageCode: 'en', name: 'English', kind: null },
+        { languageCode: 'es', name: 'Spanish', kind: null }
+      ]),
+      findCaptionTrack: jest.fn((tracks, languages, options = {}) =>
+        tracks
+          .filter(t => !options.kind || options.kind === 'any' || (t.kind === 'asr' ? 'auto' : 'manual') === options.kind)
+          .find(t => languages.includes(t.languageCode) || languages.includes(t.name)) || null
+      ),
+      filterTracksByKind: jest.fn((tracks, kind) =>
+        tracks.filter(t => kind === 'any' || (t.kind === 'asr' ? 'auto' : 'manual') === kind)
+      ),
+      getTrackKind: jest.fn(track => (track.kind === 'asr' ? 'auto' : 'manual')),
+      getTrackKindFromLabel: jest.fn(label => (/auto-generated/i.test(label) ? 'auto' : 'manual')),
+      matchesLanguageLabel: jest.fn((label, language) =>
+        ({ en: 'English', es: 'Spanish' })[language] === label.replace(/ \(.*\)$/, '')
+      ),
+      selectTranscriptLanguage: jest.fn().mockResolvedValue(false),
+      getTranscriptLanguage: jest.fn().mockResolvedValue('English')
     };
   });
   
@@ -86,10 +111,12 @@ describe('TranscriptExtractor Integration Tests', () => {
         title: 'Test Video Title',
         channel: 'Test Channel',
         transcript: [
-          { text: 'Hello world', start: 0, duration: 5 },
-          { text: 'This is a test', start: 5, duration: 5 }
+          { text: 'Hello world', start: 0, duration: 5, end: 5 },
+          { text: 'This is a test', start: 5, duration: 5, end: 10 }
         ],
-        segmentCount: 2
+        segmentCount: 2,
+        publishedAt: '2024-01-15',
+        isLive: false
       });
       
       expect(chromium.launch).toHaveBeenCalled();
@@ -99,6 +126,48 @@ describe('TranscriptExtractor Integration Tests', () => {
       );
     });
     
+    it('should derive durations from the next segment and the video length', async () => {
+      extractor.uiDetector.extractSegments.mockResolvedValue([
+        { timestamp: '0:00', text: 'One' },
+        { timestamp: '0:03', text: 'Two' },
+        { timestamp: '0:10', text: 'Three' }
+      ]);
+      mockPage.$eval
+        .mockResolvedValueOnce('Test Video Title')
+        .mockResolvedValueOnce('Test Channel')
+        .mockResolvedValueOnce(14.5);
+      
+      const result = await extractor.extract('test123');
+      
+      expect(result.videoDuration).toBe(14.5);
+      expect(result.transcript).toEqual([
+        { text: 'One', start: 0, duration: 3, end: 3 },
+        { text: 'Two', start: 3, duration: 7, end: 10 },
+        { text: 'Three', start: 10, duration: 4.5, end: 14.5 }
+      ]);
+    });
+    
+    it('should fall back to a default duration for the last segment of live videos', () => {
+      const transcript = extractor.calculateDurations([
+        { text: 'One', start: 0 },
+        { text: 'Two', start: 4 }
+      ], null);
+      
+      expect(transcript[1]).toEqual({ text: 'Two', start: 4, duration: 5, end: 9 });
+    });
+    
+    it('should keep exact durations from caption data', () => {
+      const transcript = extractor.calculateDurations([
+        { text: 'One', start: 0, duration: 1.25 },
+        { text: 'Two', start: 4, duration: 0.5 }
+      ], 60);
+      
+      expect(transcript).toEqual([
+        { text: 'One', start: 0, duration: 1.25, end: 1.25 },
+        { text: 'Two', start: 4, duration: 0.5, end: 4.5 }
+      ]);
+    });
+    
     it('should parse timestamps correctly', () => {
       expect(extractor.parseTimestamp('1:30')).toBe(90);
       expect(extractor.parseTimestamp('10:45')).toBe(645);
@@ -107,19 +176,226 @@ describe('TranscriptExtractor Integration Tests', () => {
     });
   });
   
+  describe('Language selection', () => {
+    it('should report the delivered language when none is requested', async () => {
+      const result = await extractor.extract('test123');
+      
+      expect(result.language).toBe('en');
+      expect(result.languageName).toBe('English');
+      expect(result.requestedLanguage).toBeNull();
+      expect(extractor.uiDetector.selectTranscriptLanguage).not.toHaveBeenCalled();
+    });
+    
+    it('should switch the transcript panel to the requested language', async () => {
+      extractor.uiDetector.selectTranscriptLanguage.mockResolvedValue(true);
+      
+      const result = await extractor.extract('test123', { language: 'es' });
+      
+      expect(extractor.uiDetector.selectTranscriptLanguage).toHaveBeenCalledWith(
+        mockPage,
+        expect.anything(),
+        expect.objectContaining({ languageCode: 'es' })
+      );
+      expect(extractor.uiDetector.waitForTranscriptPanel).toHaveBeenCalledTimes(2);
+      expect(result.language).toBe('es');
+      expect(result.requestedLanguage).toBe('es');
+      expect(result.fallbackUsed).toBe(false);
+    });
+    
+    it('should use fallback languages in order', async () => {
+      const result = await extractor.extract('test123', {
+        language: 'fr',
+        fallbackLanguages: ['de', 'es']
+      });
+      
+      expect(result.language).toBe('es');
+      expect(result.requestedLanguage).toBe('fr');
+      expect(result.fallbackUsed).toBe(true);
+    });
+    
+    it('should confirm the requested language from the panel without caption tracks', async () => {
+      extractor.uiDetector.getCaptionTracks.mockResolvedValue([]);
+      
+      const result = await extractor.extract('test123', { language: 'en' });
+      
+      expect(result.languageName).toBe('English');
+      expect(result.fallbackUsed).toBe(false);
+    });
+    
+    it('should fail when the panel language cannot be confirmed', async () => {
+      extractor.uiDetector.getCaptionTracks.mockResolvedValue([]);
+      
+      await expect(extractor.extract('test123', { language: 'es' }))
+        .rejects.toMatchObject({
+          code: 'NO_TRANSCRIPT',
+          transcriptLanguage: 'English'
+        });
+    });
+    
+    it('should fail with available languages when none match', async () => {
+      await expect(extractor.extract('test123', { language: 'ja' }))
+        .rejects.toMatchObject({
+          status: 404,
+          availableLanguages: ['en', 'es']
+        });
+    });
+  });
+  
+  describe('Network interception', () => {
+    const responseFor = (url, body) => ({
+      url: () => url,
+      text: jest.fn().mockResolvedValue(JSON.stringify(body))
+    });
+    
+    it('should read the caption track from the network without opening the panel', async () => {
+      extractor.uiDetector.getCaptionTracks.mockResolvedValue([
+        { languageCode: 'es', name: 'Spanish', kind: null, baseUrl: 'https://www.youtube.com/api/timedtext?v=test123&lang=es' }
+      ]);
+      
+      // Deliver the fetched track through the page's response listener
+      mockPage.evaluate.mockImplementation(async (fn, url) => {
+        const listener = mockPage.on.mock.calls.find(([event]) => event === 'response')[1];
+        listener(responseFor(url, {
+          events: [
+            { tStartMs: 0, dDurationMs: 1500, segs: [{ utf8: 'Hola' }] },
+            { tStartMs: 1500, dDurationMs: 2000, segs: [{ utf8: 'mundo' }] }
+          ]
+        }));
+      });
+      
+      const result = await extractor.extract('test123', { language: 'es' });
+      
+      expect(result.source).toBe('network');
+      expect(result.transcript).toEqual([
+        { text: 'Hola', start: 0, duration: 1.5, end: 1.5 },
+        { text: 'mundo', start: 1.5, duration: 2, end: 3.5 }
+      ]);
+      expect(extractor.uiDetector.findTranscriptButton).not.toHaveBeenCalled();
+      expect(extractor.uiDetector.extractSegments).not.toHaveBeenCalled();
+    });
+    
+    it('should fall back to scraping the panel when nothing is captured', async () => {
+      const result = await extractor.extract('test123');
+      
+      expect(result.source).toBe('dom');
+      expect(extractor.uiDetector.extractSegments).toHaveBeenCalled();
+    });
+  });
+  
+  describe('Shorts', () => {
+    it('should open Shorts on the watch page', async () => {
+      const result = await extractor.extract('short123456', { isShort: true });
+      
+      expect(mockPage.goto).toHaveBeenCalledWith(
+        'https://www.youtube.com/watch?v=short123456',
+        expect.any(Object)
+      );
+      expect(result.isShort).toBe(true);
+      expect(extractor.uiDetector.findTranscriptButton).toHaveBeenCalledWith(
+        mockPage,
+        { shorts: false }
+      );
+    });
+    
+    it('should use the Shorts strategies when redirected into the Shorts player', async () => {
+      extractor.uiDetector.isShortsPage.mockResolvedValue(true);
+      
+      const result = await extractor.extract('short123456');
+      
+      expect(result.isShort).toBe(true);
+      expect(extractor.uiDetector.findTranscriptButton).toHaveBeenCalledWith(
+        mockPage,
+        { shorts: true }
+      );
+    });
+    
+    it('should report regular videos as not Shorts', async () => {
+      const result = await extractor.extract('test123');
+      
+      expect(result.isShort).toBe(false);
+    });
+  });
+  
+  describe('Track kind', () => {
+    beforeEach(() => {
+      extractor.uiDetector.getCaptionTracks.mockResolvedValue([
+        { languageCode: 'en', name: 'English (auto-generated)', kind: 'asr' },
+        { languageCode: 'es', name: 'Spanish', kind: null }
+      ]);
+      extractor.uiDetector.getTranscriptLanguage.mockResolvedValue('English (auto-generated)');
+    });
+    
+    it('should report the kind of the delivered track', async () => {
+      const result = await extractor.extract('test123');
+      
+      expect(result.trackKind).toBe('auto');
+    });
+    
+    it('should select a manual track when one is required', async () => {
+      const result = await extractor.extract('test123', { transcriptType: 'manual' });
+      
+      expect(extractor.uiDetector.selectTranscriptLanguage).toHaveBeenCalledWith(
+        mockPage,
+        expect.anything(),
+        expect.objectContaining({ languageCode: 'es' })
+      );
+      expect(result.trackKind).toBe('manual');
+    });
+    
+    it('should not match a language whose only track has the wrong kind', async () => {
+      await expect(extractor.extract('test123', { language: 'en', transcriptType: 'manual' }))
+        .rejects.toMatchObject({ status: 404, availableLanguages: ['es'] });
+    });
+    
+    it('should fail when no track of the requested kind exists', async () => {
+      extractor.uiDetector.getCaptionTracks.mockResolvedValue([
+        { languageCode: 'en', name: 'English (auto-generated)', kind: 'asr' }
+      ]);
+      
+      await expect(extractor.extract('test123', { transcriptType: 'manual' }))
+        .rejects.toMatchObject({
+          message: 'No manual transcript available for this video',
+          status: 404,
+          availableTrackKinds: ['auto']
+        });
+    });
+    
+    it('should take the kind from the panel label without caption tracks', async () => {
+      extractor.uiDetector.getCaptionTracks.mockResolvedValue([]);
+      extractor.uiDetector.getTranscriptLanguage.mockResolvedValue('English (auto-generated)');
+      
+      const result = await extractor.extract('test123', { transcriptType: 'auto' });
+      
+      expect(result.trackKind).toBe('auto');
+    });
+    
+    it('should fail when the panel shows the wrong kind', async () => {
+      extractor.uiDetector.getCaptionTracks.mockResolvedValue([]);
+      extractor.uiDetector.getTranscriptLanguage.mockResolvedValue('English (auto-generated)');
+      
+      await expect(extractor.extract('test123', { transcriptType: 'manual' }))
+        .rejects.toMatchObject({
+          code: 'NO_TRANSCRIPT',
+          transcriptLanguage: 'English (auto-generated)'
+        });
+    });
+  });
+  
   describe('Error handling', () => {
     it('should handle missing transcripts', async () => {
       extractor.uiDetector.hasTranscriptsAvailable.mockResolvedValue(false);
       
       await expect(extractor.extract('no-transcript'))
         .rejects.toThrow('No transcripts available for this video');
+      await expect(extractor.extract('no-transcript'))
+        .rejects.toMatchObject({ code: 'NO_TRANSCRIPT', status: 404 });
     });
     
     it('should handle missing transcript button', async () => {
       extractor.uiDetector.findTranscriptButton.mockResolvedValue(null);
       
       await expect(extractor.extract('no-button'))
-        .rejects.toThrow('Could not find transcript button');
+        .rejects.toMatchObject({ code: 'UI_CHANGED', message: 'Could not find transcript button' });
     });
     
     it('should handle empty transcript segments', async () => {
@@ -129,6 +405,38 @@ describe('TranscriptExtractor Integration Tests', () => {
         .rejects.toThrow('No transcript segments found');
     });
     
+    it('should fail fast on videos that cannot be played', async () => {
+      const privateError = new Error('Video is private');
+      privateError.code = 'PRIVATE_VIDEO';
+      extractor.uiDetector.assertPlayable.mockRejectedValue(privateError);
+      
+      await expect(extractor.extract('private1234'))
+        .rejects.toMatchObject({ code: 'PRIVATE_VIDEO' });
+      
+      expect(extractor.uiDetector.assertPlayable).toHaveBeenCalledWith(mockPage);
+      expect(mockPage.waitForSelector).not.toHaveBeenCalledWith('video', expect.anything());
+      expect(extractor.uiDetector.findTranscriptButton).not.toHaveBeenCalled();
+    });
+    
+    it('should report Playwright timeouts as TIMEOUT', async () => {
+      const timeoutError = new Error('page.goto: Timeout 30000ms exceeded');
+      timeoutError.name = 'TimeoutError';
+      mockPage.goto.mockRejectedValue(timeoutError);
+      
+      await expect(extractor.extract('timeout'))
+        .rejects.toMatchObject({ code: 'TIMEOUT', status: 504, originalError: timeoutError });
+    });
+    
+    it('should report throttling as RATE_LIMITED', async () => {
+      mockPage.goto.mockResolvedValue({
+        status: () => 200,
+        url: () => 'https://www.google.com/sorry/index?continue=https://www.youtube.com/watch'
+      });
+      
+      await expect(extractor.extract('throttled'))
+        .rejects.toMatchObject({ code: 'RATE_LIMITED', status: 429 });
+    });
+    
     it('should handle page navigation timeout', async () => {
       mockPage.goto.mockRejectedValue(new Error('Navigation timeout'));
       
@@ -199,6 +507,65 @@ describe('TranscriptExtractor Integration Tests', () => {
       expect(mockContext.close).toHaveBeenCalled();
       expect(mockBrowser.close).toHaveBeenCalled();
     });
+    
+    it('should close the context as soon as the extraction is aborted', async () => {
+      const controller = new AbortController();
+      const cancelled = new Error('Client disconnected');
+      let rejectGoto;
+      mockPage.goto.mockImplementation(() => new Promise((resolve, reject) => { rejectGoto = reject; }));
+      
+      // Playwright rejects pending calls once their context is closed
+      mockContext.close.mockImplementation(async () => rejectGoto(new Error('Target closed')));
+      
+      const extraction = extractor.extract('test123', { signal: controller.signal });
+      await testUtils.wait(10);
+      controller.abort(cancelled);
+      
+      expect(mockContext.close).toHaveBeenCalled();
+      await expect(extraction).rejects.toBe(cancelled);
+      expect(mockContext.close).toHaveBeenCalledTimes(1);
+      expect(mockBrowser.close).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should report the abort reason instead of the resulting page error', async () => {
+      const controller = new AbortController();
+      const cancelled = new Error('Client disconnected');
+      mockPage.goto.mockImplementation(async () => {
+        controller.abort(cancelled);
+        throw new Error('Target page, context or browser has been closed');
+      });
+      
+      await expect(extractor.extract('test123', { signal: controller.signal })).rejects.toBe(cancelled);
+      expect(mockContext.close).toHaveBeenCalledTimes(1);
+      expect(mockPage.screenshot).not.toHaveBeenCalled();
+    });
+    
+    it('should release pooled contexts when aborted', async () => {
+      const browserPool = {
+        getBrowser: jest.fn().mockResolvedValue(mockBrowser),
+        getContext: jest.fn().mockResolvedValue({ context: mockContext, contextId: 'ctx_1' }),
+        releaseContext: jest.fn().mockResolvedValue(undefined)
+      };
+      extractor.browserPool = browserPool;
+      
+      const controller = new AbortController();
+      mockPage.goto.mockImplementation(async () => {
+        controller.abort(new Error('Cancelled'));
+        throw new Error('Target closed');
+      });
+      
+      await expect(extractor.extract('test123', { signal: controller.signal })).rejects.toThrow('Cancelled');
+      expect(browserPool.releaseContext).toHaveBeenCalledTimes(1);
+      expect(browserPool.releaseContext).toHaveBeenCalledWith('ctx_1');
+    });
+    
+    it('should not open a browser when already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Cancelled'));
+      
+      await expect(extractor.extract('test123', { signal: controller.signal })).rejects.toThrow('Cancelled');
+      expect(chromium.launch).not.toHaveBeenCalled();
+    });
   });
   
   describe('Metadata extraction', () => {
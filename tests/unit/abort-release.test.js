@@ -0,0 +1,67 @@
+const { AbortRelease } = require('../../lib/abort-release');
+
+describe('AbortRelease', () => {
+  let controller;
+  let cleanup;
+  let resource;
+  
+  beforeEach(() => {
+    controller = new AbortController();
+    cleanup = jest.fn().mockResolvedValue(undefined);
+    resource = new AbortRelease(controller.signal, cleanup);
+  });
+  
+  it('should release once the caller is done', async () => {
+    resource.watch();
+    await resource.close();
+    
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should release as soon as the signal aborts', async () => {
+    resource.watch();
+    controller.abort(new Error('Client disconnected'));
+    
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    
+    await resource.close();
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should not release on abort before watching', async () => {
+    controller.abort(new Error('Client disconnected'));
+    
+    expect(cleanup).not.toHaveBeenCalled();
+    expect(() => resource.watch()).toThrow('Client disconnected');
+    
+    await resource.close();
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should stop watching once closed', async () => {
+    resource.watch();
+    await resource.close();
+    controller.abort();
+    
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should report the abort reason for failures after cancellation', () => {
+    const failure = new Error('Target page, context or browser has been closed');
+    expect(resource.reasonFor(failure)).toBe(failure);
+    
+    const reason = new Error('Client disconnected');
+    controller.abort(reason);
+    expect(resource.reasonFor(failure)).toBe(reason);
+  });
+  
+  it('should work without a signal', async () => {
+    const unsignalled = new AbortRelease(undefined, cleanup);
+    
+    unsignalled.watch();
+    expect(unsignalled.reasonFor('failure')).toBe('failure');
+    await unsignalled.close();
+    
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog } = require('../../lib/audit-log');
+
+describe('AuditLog', () => {
+  let auditLog;
+  
+  beforeEach(() => {
+    auditLog = new AuditLog({ maxEntries: 3 });
+  });
+  
+  describe('Recording', () => {
+    it('should record actions with a timestamp and id', () => {
+      const entry = auditLog.record({
+        action: 'queue.pause',
+        target: 'queue',
+        actor: { user: 'oncall', ip: '127.0.0.1' },
+        result: { changed: true }
+      });
+      
+      expect(entry).toMatchObject({
+        id: expect.any(String),
+        timestamp: expect.any(String),
+        action: 'queue.pause',
+        target: 'queue',
+        params: {},
+        actor: { user: 'oncall', ip: '127.0.0.1' },
+        result: { changed: true }
+      });
+    });
+    
+    it('should keep only the most recent entries', () => {
+      for (let i = 0; i < 5; i++) {
+        auditLog.record({ action: `action${i}` });
+      }
+      
+      expect(auditLog.entries).toHaveLength(3);
+      expect(auditLog.entries[0].action).toBe('action2');
+    });
+  });
+  
+  describe('Listing', () => {
+    beforeEach(() => {
+      auditLog.record({ action: 'queue.pause' });
+      auditLog.record({ action: 'queue.resume' });
+      auditLog.record({ action: 'queue.pause' });
+    });
+    
+    it('should list newest first', () => {
+      expect(auditLog.list().map(entry => entry.action))
+        .toEqual(['queue.pause', 'queue.resume', 'queue.pause']);
+      expect(auditLog.list({ limit: 1 })).toHaveLength(1);
+    });
+    
+    it('should filter by action', () => {
+      expect(auditLog.list({ action: 'queue.resume' })).toHaveLength(1);
+    });
+    
+    it('should count entries, optionally by action', () => {
+      expect(auditLog.count()).toBe(3);
+      expect(auditLog.count({ action: 'queue.pause' })).toBe(2);
+      expect(auditLog.count({ action: 'cache.clear' })).toBe(0);
+    });
+  });
+  
+  describe('File persistence', () => {
+    let dir;
+    
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    it('should append each entry as a JSON line', async () => {
+      const file = path.join(dir, 'logs', 'audit.jsonl');
+      auditLog = new AuditLog({ file });
+      
+      auditLog.record({ action: 'queue.pause' });
+      auditLog.record({ action: 'queue.resume' });
+      await auditLog.flush();
+      
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(entry => entry.action)).toEqual(['queue.pause', 'queue.resume']);
+    });
+    
+    it('should count write failures without throwing', async () => {
+      fs.writeFileSync(path.join(dir, 'blocker'), '');
+      auditLog = new AuditLog({ file: path.join(dir, 'blocker', 'audit.jsonl') });
+      
+      expect(() => auditLog.record({ action: 'queue.pause' })).not.toThrow();
+      await auditLog.flush();
+      
+      expect(auditLog.getStats().writeErrors).toBe(1);
+      expect(auditLog.entries).toHaveLength(1);
+    });
+  });
+});
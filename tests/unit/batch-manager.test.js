@@ -0,0 +1,129 @@
+const { BatchManager } = require('../../lib/batch-manager');
+const { RequestQueue } = require('../../lib/request-queue');
+
+describe('BatchManager', () => {
+  let requestQueue;
+  let batchManager;
+  
+  const waitForBatch = async (batch) => {
+    while (batch.status === 'running') {
+      await testUtils.wait(10);
+    }
+  };
+  
+  beforeEach(() => {
+    requestQueue = new RequestQueue({
+      maxConcurrent: 3,
+      maxQueueSize: 2,
+      timeout: 1000,
+      rateLimitMax: 1000
+    });
+    batchManager = new BatchManager({
+      requestQueue,
+      maxInFlight: 4,
+      maxBatchSize: 50,
+      retryInterval: 10
+    });
+  });
+  
+  describe('Scheduling', () => {
+    it('should run every item and collect results', async () => {
+      const run = jest.fn(async ({ videoId }) => ({ videoId }));
+      
+      const batch = batchManager.create(
+        [{ videoId: 'a' }, { videoId: 'b' }, { videoId: 'c' }],
+        { run, key: input => input.videoId }
+      );
+      await waitForBatch(batch);
+      
+      expect(batch.status).toBe('completed');
+      expect(run).toHaveBeenCalledTimes(3);
+      expect(batch.items.map(item => item.result)).toEqual([
+        { videoId: 'a' }, { videoId: 'b' }, { videoId: 'c' }
+      ]);
+    });
+    
+    it('should deduplicate entries by key', async () => {
+      const run = jest.fn(async input => input);
+      
+      const batch = batchManager.create(
+        [{ videoId: 'a' }, { videoId: 'a' }, { videoId: 'b' }],
+        { run, key: input => input.videoId }
+      );
+      await waitForBatch(batch);
+      
+      expect(run).toHaveBeenCalledTimes(2);
+      expect(batchManager.getProgress(batch)).toMatchObject({ total: 2, duplicates: 1 });
+    });
+    
+    it('should not overflow the queue for batches larger than maxQueueSize', async () => {
+      const entries = Array.from({ length: 20 }, (_, i) => ({ videoId: `v${i}` }));
+      const submitSpy = jest.spyOn(requestQueue, 'submit');
+      
+      const batch = batchManager.create(entries, {
+        run: async input => {
+          await testUtils.wait(5);
+          return input;
+        }
+      });
+      
+      expect(requestQueue.queue.length).toBeLessThanOrEqual(requestQueue.maxQueueSize);
+      
+      await waitForBatch(batch);
+      
+      expect(batchManager.getProgress(batch).completed).toBe(20);
+      expect(submitSpy.mock.results.filter(r => r.type === 'return')).toHaveLength(20);
+    });
+    
+    it('should record per-item errors without failing the batch', async () => {
+      const batch = batchManager.create([{ videoId: 'ok' }, { videoId: 'bad' }], {
+        run: async ({ videoId }) => {
+          if (videoId === 'bad') {
+            const error = new Error('No transcripts available for this video');
+            error.status = 404;
+            throw error;
+          }
+          return { videoId };
+        }
+      });
+      await waitForBatch(batch);
+      
+      expect(batch.status).toBe('completed');
+      expect(batch.items[1].status).toBe('failed');
+      expect(batch.items[1].error.message).toBe('No transcripts available for this video');
+      expect(batchManager.getProgress(batch)).toMatchObject({ completed: 1, failed: 1, percent: 100 });
+    });
+    
+    it('should reject batches over the size limit', () => {
+      const entries = Array.from({ length: 51 }, (_, i) => ({ videoId: `v${i}` }));
+      
+      expect(() => batchManager.create(entries, { run: jest.fn() }))
+        .toThrow('Batch too large (51 items, max 50)');
+    });
+  });
+  
+  describe('Cancellation', () => {
+    it('should cancel pending and queued items', async () => {
+      const entries = Array.from({ length: 6 }, (_, i) => ({ videoId: `v${i}` }));
+      const batch = batchManager.create(entries, { run: () => new Promise(() => {}) });
+      
+      expect(batchManager.cancel(batch.id)).toBe(true);
+      await testUtils.wait(10);
+      
+      expect(batch.status).toBe('cancelled');
+      expect(batchManager.getProgress(batch).cancelled).toBe(6);
+      expect(batchManager.cancel(batch.id)).toBe(false);
+    });
+  });
+  
+  describe('Cleanup', () => {
+    it('should clear finished batches', async () => {
+      const batch = batchManager.create([{ videoId: 'a' }], { run: async input => input });
+      await waitForBatch(batch);
+      await testUtils.wait(10);
+      
+      expect(batchManager.clearFinished(0)).toBe(1);
+      expect(batchManager.getBatch(batch.id)).toBeNull();
+    });
+  });
+});
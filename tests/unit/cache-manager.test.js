@@ -1,4 +1,5 @@
 const { CacheManager } = require('../../lib/cache-manager');
+const { CacheWarmer } = require('../../lib/cache-warmer');
 
 describe('CacheManager', () => {
   let cacheManager;
@@ -96,6 +97,85 @@ describe('CacheManager', () => {
       expect(cacheManager.cache.size).toBe(1);
       expect(cacheManager.get('key2')).toBe('value2');
     });
+    
+    it('should accept a TTL in the options object', async () => {
+      cacheManager.set('key1', 'value1', { ttl: 100, metadata: { source: 'test' } });
+      
+      expect(cacheManager.cache.get('key1')).toMatchObject({ ttl: 100, metadata: { source: 'test' } });
+      
+      await testUtils.wait(150);
+      
+      expect(cacheManager.get('key1')).toBeNull();
+    });
+  });
+  
+  describe('Stale-while-revalidate', () => {
+    let swr;
+    
+    beforeEach(() => {
+      swr = new CacheManager({ maxSize: 5, maxAge: 1000, staleTtl: 200 });
+    });
+    
+    afterEach(() => {
+      swr.destroy();
+    });
+    
+    it('should report fresh entries with their age', () => {
+      swr.set('key1', 'value1', 100);
+      
+      expect(swr.lookup('key1')).toMatchObject({ value: 'value1', ttl: 100, stale: false });
+      expect(swr.lookup('key1').age).toBeGreaterThanOrEqual(0);
+      expect(swr.getStats().hits).toBe(2);
+    });
+    
+    it('should serve entries past their TTL as stale', async () => {
+      swr.set('key1', 'value1', 100);
+      
+      await testUtils.wait(150);
+      
+      expect(swr.lookup('key1')).toMatchObject({ value: 'value1', stale: true });
+      expect(swr.getStats().staleHits).toBe(1);
+    });
+    
+    it('should not return stale entries from get', async () => {
+      swr.set('key1', 'value1', 100);
+      
+      await testUtils.wait(150);
+      
+      expect(swr.get('key1')).toBeNull();
+      expect(swr.cache.has('key1')).toBe(true);
+    });
+    
+    it('should drop entries once the stale window closes', async () => {
+      swr.set('key1', 'value1', 100);
+      
+      await testUtils.wait(350);
+      
+      expect(swr.lookup('key1')).toBeNull();
+      expect(swr.cache.has('key1')).toBe(false);
+    });
+    
+    it('should keep stale entries during cleanup', async () => {
+      swr.set('key1', 'value1', 100);
+      swr.set('key2', 'value2', 10);
+      
+      await testUtils.wait(150);
+      swr.cleanup();
+      expect(swr.cache.size).toBe(2);
+      
+      await testUtils.wait(200);
+      swr.cleanup();
+      expect(swr.cache.size).toBe(0);
+    });
+    
+    it('should make a refreshed entry fresh again', async () => {
+      swr.set('key1', 'old', 100);
+      
+      await testUtils.wait(150);
+      swr.set('key1', 'new', 100);
+      
+      expect(swr.lookup('key1')).toMatchObject({ value: 'new', stale: false });
+    });
   });
   
   describe('LRU eviction', () => {
@@ -152,6 +232,87 @@ describe('CacheManager', () => {
     });
   });
   
+  describe('Byte budget', () => {
+    let bounded;
+    const value = bytes => 'x'.repeat(bytes - 2); // JSON quotes add two bytes
+    
+    beforeEach(() => {
+      bounded = new CacheManager({ maxSize: 100, maxAge: 1000, maxBytes: 1000 });
+    });
+    
+    afterEach(() => {
+      bounded.destroy();
+    });
+    
+    it('should evict least recently used entries to stay within maxBytes', () => {
+      bounded.set('key1', value(400));
+      bounded.set('key2', value(400));
+      bounded.get('key1');
+      
+      bounded.set('key3', value(400));
+      
+      expect(bounded.get('key2')).toBeNull();
+      expect(bounded.get('key1')).not.toBeNull();
+      expect(bounded.get('key3')).not.toBeNull();
+      expect(bounded.getStats()).toMatchObject({ totalSize: 800, evictions: 1 });
+    });
+    
+    it('should evict as many small entries as a large one needs', () => {
+      for (let i = 1; i <= 5; i++) {
+        bounded.set(`small${i}`, value(100));
+      }
+      
+      bounded.set('large', value(900));
+      
+      expect(bounded.getStats()).toMatchObject({ size: 2, totalSize: 1000, evictions: 4 });
+      expect(bounded.get('small5')).not.toBeNull();
+    });
+    
+    it('should not cache values larger than the whole budget', () => {
+      bounded.set('key1', value(400));
+      
+      expect(bounded.set('huge', value(2000))).toBe(false);
+      
+      expect(bounded.get('huge')).toBeNull();
+      expect(bounded.get('key1')).not.toBeNull();
+      expect(bounded.getStats().oversized).toBe(1);
+    });
+    
+    it('should track bytes when entries are replaced, deleted and cleared', () => {
+      bounded.set('key1', value(400));
+      bounded.set('key1', value(100));
+      expect(bounded.getStats().totalSize).toBe(100);
+      
+      bounded.set('key2', value(300));
+      bounded.delete('key1');
+      expect(bounded.getStats().totalSize).toBe(300);
+      
+      bounded.clear();
+      expect(bounded.getStats().totalSize).toBe(0);
+    });
+    
+    it('should report byte utilization', () => {
+      bounded.set('key1', value(250));
+      
+      expect(bounded.getStats()).toMatchObject({ maxBytes: 1000, byteUtilization: '25.00%' });
+      expect(cacheManager.getStats()).toMatchObject({ maxBytes: null, byteUtilization: null });
+    });
+    
+    it('should keep get and set fast with tens of thousands of entries', () => {
+      const large = new CacheManager({ maxSize: 20000, maxAge: 60000 });
+      const started = Date.now();
+      
+      for (let i = 0; i < 40000; i++) {
+        large.set(`key${i}`, i);
+        large.get(`key${i - 100}`);
+      }
+      
+      expect(large.getStats()).toMatchObject({ size: 20000, evictions: 20000 });
+      expect(Date.now() - started).toBeLessThan(2000);
+      large.destroy();
+    });
+  });
+  
   describe('Statistics', () => {
     it('should track hit rate correctly', () => {
       cacheManager.set('key1', 'value1');
@@ -215,35 +376,138 @@ describe('CacheManager', () => {
   });
   
   describe('Cache warming', () => {
-    it('should warm up cache with provided entries', () => {
-      const entries = [
-        ['key1', 'value1'],
-        ['key2', 'value2'],
-        ['key3', 'value3']
-      ];
+    // Stands in for the extraction pipeline: "fetches" a value per video ID
+    const useWarmer = () => {
+      cacheManager.warmer = new CacheWarmer({
+        warm: async ({ videoId }) => {
+          if (cacheManager.has(videoId)) return 'skipped';
+          cacheManager.set(videoId, `value:${videoId}`, { ttl: 500 });
+          return 'warmed';
+        }
+      });
+    };
+    
+    it('should warm up cache with provided entries', async () => {
+      useWarmer();
       
-      cacheManager.warmUp(entries);
+      const progress = await cacheManager.warmUp(['key1', 'key2', { videoId: 'key3' }]);
       
-      expect(cacheManager.get('key1')).toBe('value1');
-      expect(cacheManager.get('key2')).toBe('value2');
-      expect(cacheManager.get('key3')).toBe('value3');
+      expect(progress).toMatchObject({ status: 'completed', total: 3, warmed: 3 });
+      expect(cacheManager.get('key1')).toBe('value:key1');
+      expect(cacheManager.get('key2')).toBe('value:key2');
+      expect(cacheManager.get('key3')).toBe('value:key3');
       expect(cacheManager.getStats().size).toBe(3);
     });
     
-    it('should not duplicate existing entries during warmup', () => {
+    it('should not duplicate existing entries during warmup', async () => {
+      useWarmer();
       cacheManager.set('key1', 'existing');
       
-      const entries = [
-        ['key1', 'new'],
-        ['key2', 'value2']
-      ];
-      
-      cacheManager.warmUp(entries);
+      const progress = await cacheManager.warmUp(['key1', 'key2']);
       
+      expect(progress).toMatchObject({ warmed: 1, skipped: 1 });
       expect(cacheManager.get('key1')).toBe('existing'); // Not overwritten
-      expect(cacheManager.get('key2')).toBe('value2');
+      expect(cacheManager.get('key2')).toBe('value:key2');
       expect(cacheManager.getStats().size).toBe(2);
     });
+    
+    it('should replace expired entries during warmup', async () => {
+      useWarmer();
+      cacheManager.set('key1', 'old', 50);
+      await testUtils.wait(100);
+      
+      const progress = await cacheManager.warmUp(['key1']);
+      
+      expect(progress.warmed).toBe(1);
+      expect(cacheManager.get('key1')).toBe('value:key1');
+    });
+    
+    it('should skip warm-up without a warmer', async () => {
+      await expect(cacheManager.warmUp(['key1'])).resolves.toBeNull();
+      expect(cacheManager.getStats().size).toBe(0);
+    });
+    
+    it('should report fresh entries without counting hits', () => {
+      cacheManager.set('key1', 'value1');
+      
+      expect(cacheManager.has('key1')).toBe(true);
+      expect(cacheManager.has('key2')).toBe(false);
+      expect(cacheManager.getStats()).toMatchObject({ hits: 0, misses: 0 });
+    });
+    
+    it('should list the most-hit entries with their metadata', () => {
+      cacheManager.set('key1', 'value1', { metadata: { videoId: 'one' } });
+      cacheManager.set('key2', 'value2', { metadata: { videoId: 'two' } });
+      cacheManager.get('key2');
+      cacheManager.get('key2');
+      cacheManager.get('key1');
+      
+      expect(cacheManager.getTopEntries(1)).toEqual([
+        { key: 'key2', hits: 2, metadata: { videoId: 'two' } }
+      ]);
+    });
+  });
+  
+  describe('Administration', () => {
+    const componentsFor = (videoId, options) => CacheManager.keyComponents(videoId, options);
+    
+    beforeEach(() => {
+      cacheManager.set('en-key', 'english', { components: componentsFor('video1', { language: 'en' }) });
+      cacheManager.set('es-key', 'spanish', { components: componentsFor('video1', { language: 'es' }) });
+      cacheManager.set('other-key', 'other', { components: componentsFor('video2') });
+    });
+    
+    it('should apply defaults to key components the same way as generateKey', () => {
+      expect(CacheManager.keyComponents('abc123')).toEqual({
+        videoId: 'abc123',
+        language: null,
+        quality: 'auto',
+        transcriptType: 'auto'
+      });
+      expect(CacheManager.generateKey('abc123')).toBe(CacheManager.generateKey('abc123', { language: '' }));
+      expect(CacheManager.generateKey('abc123')).not.toBe(CacheManager.generateKey('abc123', { language: 'en' }));
+    });
+    
+    it('should key requests with fallback languages apart', () => {
+      const plain = CacheManager.generateKey('abc123', { language: 'fr' });
+      
+      expect(CacheManager.generateKey('abc123', { language: 'fr', fallbackLanguages: [] })).toBe(plain);
+      expect(CacheManager.generateKey('abc123', { language: 'fr', fallbackLanguages: ['es'] })).not.toBe(plain);
+      expect(CacheManager.keyComponents('abc123', { language: 'fr', fallbackLanguages: ['es'] }))
+        .toMatchObject({ language: 'fr', fallbackLanguages: ['es'] });
+    });
+    
+    it('should parse keys from their stored components', () => {
+      expect(cacheManager.parseKey('es-key')).toMatchObject({ hash: 'es-key', videoId: 'video1', language: 'es' });
+      expect(cacheManager.parseKey('unknown')).toEqual({ hash: 'unknown' });
+    });
+    
+    it('should list entries most recently used first', () => {
+      cacheManager.get('en-key');
+      
+      const entries = cacheManager.listEntries();
+      
+      expect(entries.map(entry => entry.key)).toEqual(['en-key', 'other-key', 'es-key']);
+      expect(entries[0]).toMatchObject({ videoId: 'video1', language: 'en', hits: 1, stale: false });
+      expect(entries[0].size).toBeGreaterThan(0);
+    });
+    
+    it('should list entries for one video', () => {
+      const entries = cacheManager.listEntries({ videoId: 'video1' });
+      
+      expect(entries.map(entry => entry.language).sort()).toEqual(['en', 'es']);
+    });
+    
+    it('should delete every entry for a video', () => {
+      expect(cacheManager.deleteByVideoId('video1')).toBe(2);
+      expect(cacheManager.deleteByVideoId('video1')).toBe(0);
+      expect(cacheManager.listEntries().map(entry => entry.key)).toEqual(['other-key']);
+    });
+    
+    it('should report how many entries a clear removed', () => {
+      expect(cacheManager.clear()).toBe(3);
+      expect(cacheManager.getStats().evictions).toBe(3);
+    });
   });
   
   describe('Size estimation', () => {
@@ -269,4 +533,163 @@ describe('CacheManager', () => {
       expect(size).toBe(1000); // Default estimate
     });
   });
-});
\ No newline at end of file
+  
+  describe('Persistent storage', () => {
+    const createStorage = (entries = []) => ({
+      name: 'fake',
+      entries: new Map(entries),
+      load: jest.fn(function () { return Promise.resolve([...this.entries]); }),
+      set: jest.fn(function (key, entry) { this.entries.set(key, entry); return Promise.resolve(); }),
+      delete: jest.fn(function (key) { this.entries.delete(key); return Promise.resolve(); }),
+      clear: jest.fn(function () { this.entries.clear(); return Promise.resolve(); }),
+      close: jest.fn().mockResolvedValue(undefined)
+    });
+    
+    const storedEntry = (value, age = 0, lastAccess = Date.now()) => ({
+      value,
+      timestamp: Date.now() - age,
+      lastAccess,
+      hits: 0,
+      size: 10,
+      metadata: {}
+    });
+    
+    it('should write sets and deletes through to storage', async () => {
+      const storage = createStorage();
+      const persistent = new CacheManager({ maxSize: 5, maxAge: 1000, storage });
+      
+      persistent.set('key1', 'value1');
+      persistent.set('key2', 'value2');
+      persistent.delete('key1');
+      await persistent.flush();
+      
+      expect(storage.set).toHaveBeenCalledWith('key1', expect.objectContaining({ value: 'value1' }), 1000);
+      expect([...storage.entries.keys()]).toEqual(['key2']);
+      
+      await persistent.destroy();
+    });
+    
+    it('should keep stored entries through their stale window', async () => {
+      const storage = createStorage();
+      const persistent = new CacheManager({ maxSize: 5, maxAge: 1000, staleTtl: 500, storage });
+      
+      persistent.set('key1', 'value1', 200);
+      await persistent.flush();
+      
+      expect(storage.set).toHaveBeenCalledWith('key1', expect.objectContaining({ ttl: 200 }), 700);
+      
+      await persistent.destroy();
+    });
+    
+    it('should expire restored entries by their own TTL', async () => {
+      const storage = createStorage([
+        ['short', { ...storedEntry('short value', 500), ttl: 100 }],
+        ['long', { ...storedEntry('long value', 500), ttl: 5000 }]
+      ]);
+      const persistent = new CacheManager({ maxSize: 5, maxAge: 1000, storage });
+      
+      expect(await persistent.load()).toBe(1);
+      expect(persistent.get('long')).toBe('long value');
+      
+      await persistent.destroy();
+    });
+    
+    it('should restore live entries on load and drop expired ones', async () => {
+      const storage = createStorage([
+        ['fresh', storedEntry('fresh value')],
+        ['stale', storedEntry('stale value', 5000)]
+      ]);
+      const persistent = new CacheManager({ maxSize: 5, maxAge: 1000, storage });
+      
+      expect(await persistent.load()).toBe(1);
+      await persistent.flush();
+      
+      expect(persistent.get('fresh')).toBe('fresh value');
+      expect(persistent.get('stale')).toBeNull();
+      expect(storage.entries.has('stale')).toBe(false);
+      
+      await persistent.destroy();
+    });
+    
+    it('should keep the most recently used entries when storage exceeds maxSize', async () => {
+      const now = Date.now();
+      const storage = createStorage([
+        ['old', storedEntry('old', 0, now - 300)],
+        ['newer', storedEntry('newer', 0, now - 200)],
+        ['newest', storedEntry('newest', 0, now - 100)]
+      ]);
+      const persistent = new CacheManager({ maxSize: 2, maxAge: 1000, storage });
+      
+      await persistent.load();
+      await persistent.flush();
+      
+      expect([...persistent.cache.keys()]).toEqual(['newer', 'newest']);
+      expect(storage.entries.has('old')).toBe(false);
+      
+      await persistent.destroy();
+    });
+    
+    it('should restore only what fits in maxBytes', async () => {
+      const now = Date.now();
+      const storage = createStorage([
+        ['old', { ...storedEntry('old', 0, now - 300), size: 400 }],
+        ['newer', { ...storedEntry('newer', 0, now - 200), size: 400 }],
+        ['huge', { ...storedEntry('huge', 0, now - 100), size: 5000 }]
+      ]);
+      const persistent = new CacheManager({ maxSize: 5, maxAge: 1000, maxBytes: 1000, storage });
+      
+      persistent.set('live', 'x'.repeat(398));
+      await persistent.load();
+      await persistent.flush();
+      
+      expect([...persistent.cache.keys()]).toEqual(['newer', 'live']);
+      expect(persistent.getStats().totalSize).toBe(800);
+      expect(storage.entries.has('huge')).toBe(false);
+      expect(storage.entries.has('old')).toBe(false);
+      
+      await persistent.destroy();
+    });
+    
+    it('should keep entries set before loading finished', async () => {
+      const storage = createStorage([['restored', storedEntry('restored')]]);
+      const persistent = new CacheManager({ maxSize: 5, maxAge: 1000, storage });
+      
+      persistent.set('live', 'live value');
+      await persistent.load();
+      
+      expect([...persistent.cache.keys()]).toEqual(['restored', 'live']);
+      
+      await persistent.destroy();
+    });
+    
+    it('should keep serving from memory when storage fails', async () => {
+      const storage = createStorage();
+      storage.set.mockRejectedValue(new Error('disk full'));
+      const persistent = new CacheManager({ maxSize: 5, maxAge: 1000, storage });
+      
+      persistent.set('key1', 'value1');
+      await persistent.flush();
+      
+      expect(persistent.get('key1')).toBe('value1');
+      expect(persistent.getStats().storageErrors).toBe(1);
+      
+      await persistent.destroy();
+    });
+    
+    it('should keep persisted entries on destroy', async () => {
+      const storage = createStorage();
+      const persistent = new CacheManager({ maxSize: 5, maxAge: 1000, storage });
+      
+      persistent.set('key1', 'value1');
+      await persistent.destroy();
+      
+      expect(storage.clear).not.toHaveBeenCalled();
+      expect(storage.entries.has('key1')).toBe(true);
+      expect(storage.close).toHaveBeenCalled();
+    });
+    
+    it('should report the storage backend in stats', () => {
+      expect(cacheManager.getStats().storage).toBe('memory');
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const { CacheTtlPolicy } = require('../../lib/cache-ttl-policy');
+
+describe('CacheTtlPolicy', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const daysAgo = days => new Date(Date.now() - days * DAY).toISOString();
+  
+  let policy;
+  
+  beforeEach(() => {
+    policy = new CacheTtlPolicy({
+      defaultTtl: 1000,
+      liveTtl: 10,
+      recentTtl: 100,
+      archiveTtl: 10000
+    });
+  });
+  
+  it('should cache live videos briefly', () => {
+    expect(policy.ttlFor({ isLive: true, publishedAt: daysAgo(400) })).toBe(10);
+  });
+  
+  it('should cache just-published videos briefly', () => {
+    expect(policy.ttlFor({ publishedAt: daysAgo(1) })).toBe(100);
+  });
+  
+  it('should keep old videos longer', () => {
+    expect(policy.ttlFor({ publishedAt: daysAgo(90) })).toBe(10000);
+  });
+  
+  it('should use the default TTL in between', () => {
+    expect(policy.ttlFor({ publishedAt: daysAgo(10) })).toBe(1000);
+  });
+  
+  it('should use the default TTL when the publish date is unknown', () => {
+    expect(policy.ttlFor({ publishedAt: null })).toBe(1000);
+    expect(policy.ttlFor({ publishedAt: 'not a date' })).toBe(1000);
+    expect(policy.ttlFor()).toBe(1000);
+  });
+  
+  it('should accept date-only publish dates', () => {
+    expect(policy.ttlFor({ publishedAt: '2015-03-01' })).toBe(10000);
+  });
+});
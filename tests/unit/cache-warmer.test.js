@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CacheWarmer } = require('../../lib/cache-warmer');
+
+describe('CacheWarmer', () => {
+  describe('Running', () => {
+    it('should warm every entry and report progress', async () => {
+      const warm = jest.fn()
+        .mockResolvedValueOnce('warmed')
+        .mockResolvedValueOnce('skipped')
+        .mockRejectedValueOnce(new Error('No transcript'));
+      const warmer = new CacheWarmer({ warm, concurrency: 1 });
+      
+      const progress = await warmer.run([
+        { videoId: 'aaaaaaaaaaa' },
+        { videoId: 'bbbbbbbbbbb' },
+        { videoId: 'ccccccccccc' }
+      ]);
+      
+      expect(warm).toHaveBeenCalledTimes(3);
+      expect(progress).toMatchObject({ status: 'completed', total: 3, warmed: 1, skipped: 1, failed: 1 });
+      expect(progress.finishedAt).toEqual(expect.any(String));
+    });
+    
+    it('should limit how many entries are warmed at once', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const warm = jest.fn(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        active--;
+        return 'warmed';
+      });
+      const warmer = new CacheWarmer({ warm, concurrency: 2 });
+      
+      await warmer.run(Array.from({ length: 6 }, (_, i) => ({ videoId: `video${i}` })));
+      
+      expect(warm).toHaveBeenCalledTimes(6);
+      expect(maxActive).toBe(2);
+    });
+    
+    it('should report running progress', async () => {
+      let release;
+      const warmer = new CacheWarmer({
+        warm: () => new Promise(resolve => { release = resolve; })
+      });
+      
+      const run = warmer.run([{ videoId: 'aaaaaaaaaaa' }]);
+      
+      expect(warmer.getProgress()).toMatchObject({ status: 'running', total: 1, warmed: 0 });
+      await expect(warmer.run([])).rejects.toThrow('already running');
+      
+      release('warmed');
+      await run;
+      expect(warmer.getProgress()).toMatchObject({ status: 'completed', warmed: 1 });
+    });
+    
+    it('should skip duplicate entries', async () => {
+      const warm = jest.fn().mockResolvedValue('warmed');
+      const warmer = new CacheWarmer({ warm });
+      
+      await warmer.run([
+        { videoId: 'aaaaaaaaaaa' },
+        { videoId: 'aaaaaaaaaaa' },
+        { videoId: 'aaaaaaaaaaa', language: 'es' }
+      ]);
+      
+      expect(warm).toHaveBeenCalledTimes(2);
+    });
+  });
+  
+  describe('Warm-up lists', () => {
+    it('should parse comma and newline separated IDs', () => {
+      expect(CacheWarmer.parse('aaaaaaaaaaa, bbbbbbbbbbb\n# top videos\nccccccccccc\n')).toEqual([
+        { videoId: 'aaaaaaaaaaa' },
+        { videoId: 'bbbbbbbbbbb' },
+        { videoId: 'ccccccccccc' }
+      ]);
+    });
+    
+    it('should parse JSON lists of IDs and entries', () => {
+      expect(CacheWarmer.parse('["aaaaaaaaaaa", {"videoId": "bbbbbbbbbbb", "language": "es"}, {}]')).toEqual([
+        { videoId: 'aaaaaaaaaaa' },
+        { videoId: 'bbbbbbbbbbb', language: 'es' }
+      ]);
+    });
+    
+    it('should treat empty input as an empty list', () => {
+      expect(CacheWarmer.parse()).toEqual([]);
+      expect(CacheWarmer.parse('  ')).toEqual([]);
+    });
+    
+    it('should save and read back a warm-up file', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-warmer-'));
+      const file = path.join(directory, 'state', 'warm-up.json');
+      const entries = [{ videoId: 'aaaaaaaaaaa', language: 'en', transcriptType: 'any' }];
+      
+      try {
+        await CacheWarmer.saveFile(file, entries);
+        
+        expect(await CacheWarmer.readFile(file)).toEqual(entries);
+        expect(await CacheWarmer.readFile(path.join(directory, 'missing.json'))).toEqual([]);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -1,4 +1,5 @@
-const { CircuitBreaker } = require('../../lib/circuit-breaker');
+const { CircuitBreaker, CircuitBreakerGroup } = require('../../lib/circuit-breaker');
+const { ServiceError } = require('../../lib/service-error');
 
 describe('CircuitBreaker', () => {
   let circuitBreaker;
@@ -77,6 +78,8 @@ describe('CircuitBreaker', () => {
       
       await expect(circuitBreaker.execute(mockOperation))
         .rejects.toThrow('Circuit breaker is OPEN');
+      await expect(circuitBreaker.execute(mockOperation))
+        .rejects.toMatchObject({ code: 'CIRCUIT_OPEN', status: 503 });
       
       expect(mockOperation).not.toHaveBeenCalled();
     });
@@ -165,6 +168,234 @@ describe('CircuitBreaker', () => {
     });
   });
   
+  describe('Cancellation', () => {
+    it('should count aborted calls as cancelled, not as failures', async () => {
+      for (let i = 0; i < 3; i++) {
+        const controller = new AbortController();
+        mockOperation.mockImplementationOnce(async () => {
+          controller.abort(new Error('Client disconnected'));
+          throw new Error('Target closed');
+        });
+        
+        await expect(circuitBreaker.execute(mockOperation, { signal: controller.signal }))
+          .rejects.toThrow('Client disconnected');
+      }
+      
+      expect(circuitBreaker.state).toBe('CLOSED');
+      expect(circuitBreaker.failures).toBe(0);
+      expect(circuitBreaker.getMetrics()).toMatchObject({ totalFailures: 0, totalCancelled: 3 });
+    });
+    
+    it('should not run operations whose signal already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new Error('Cancelled'));
+      
+      await expect(circuitBreaker.execute(mockOperation, { signal: controller.signal }))
+        .rejects.toThrow('Cancelled');
+      expect(mockOperation).not.toHaveBeenCalled();
+      expect(circuitBreaker.getMetrics().totalRequests).toBe(0);
+    });
+  });
+  
+  describe('Failure classification', () => {
+    it('should not open on client-type errors', async () => {
+      mockOperation
+        .mockRejectedValueOnce(new ServiceError('NO_TRANSCRIPT', 'No transcripts available'))
+        .mockRejectedValueOnce(new ServiceError('PRIVATE_VIDEO', 'Private video'))
+        .mockRejectedValueOnce(new ServiceError('VIDEO_NOT_FOUND', 'Video not found'));
+      
+      for (let i = 0; i < 3; i++) {
+        await expect(circuitBreaker.execute(mockOperation)).rejects.toBeInstanceOf(ServiceError);
+      }
+      
+      expect(circuitBreaker.state).toBe('CLOSED');
+      expect(circuitBreaker.failures).toBe(0);
+      expect(circuitBreaker.getMetrics()).toMatchObject({ totalFailures: 0, totalIgnored: 3 });
+    });
+    
+    it('should count server-side and throttling errors', async () => {
+      mockOperation
+        .mockRejectedValueOnce(new ServiceError('UI_CHANGED', 'Could not find transcript button'))
+        .mockRejectedValueOnce(new ServiceError('RATE_LIMITED', 'YouTube is rate limiting requests'))
+        .mockRejectedValueOnce(Object.assign(new Error('Operation failed after 3 retries'), {
+          originalError: new ServiceError('TIMEOUT', 'Navigation timeout')
+        }));
+      
+      for (let i = 0; i < 3; i++) {
+        await expect(circuitBreaker.execute(mockOperation)).rejects.toThrow();
+      }
+      
+      expect(circuitBreaker.state).toBe('OPEN');
+    });
+    
+    it('should not count a nested breaker rejecting the call', async () => {
+      mockOperation.mockRejectedValue(new ServiceError('CIRCUIT_OPEN', 'Circuit breaker navigation is OPEN'));
+      
+      for (let i = 0; i < 3; i++) {
+        await expect(circuitBreaker.execute(mockOperation)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+      }
+      
+      expect(circuitBreaker.state).toBe('CLOSED');
+    });
+    
+    it('should accept a custom classifier', async () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 1, isFailure: error => error.message === 'down' });
+      
+      await expect(breaker.execute(() => Promise.reject(new Error('flaky')))).rejects.toThrow('flaky');
+      expect(breaker.state).toBe('CLOSED');
+      
+      await expect(breaker.execute(() => Promise.reject(new Error('down')))).rejects.toThrow('down');
+      expect(breaker.state).toBe('OPEN');
+    });
+  });
+  
+  describe('Sliding window mode', () => {
+    let windowed;
+    
+    const run = (outcome, delay = 0) => windowed.execute(async () => {
+      if (delay) await testUtils.wait(delay);
+      if (outcome === 'fail') throw new Error('fail');
+      return outcome;
+    }).catch(() => {});
+    
+    beforeEach(() => {
+      windowed = new CircuitBreaker({
+        mode: 'window',
+        windowSize: 10,
+        minimumCalls: 4,
+        failureRateThreshold: 50,
+        resetTimeout: 1000
+      });
+    });
+    
+    it('should not trip on consecutive failures below the minimum call volume', async () => {
+      for (let i = 0; i < 3; i++) {
+        await run('fail');
+      }
+      
+      expect(windowed.state).toBe('CLOSED');
+      expect(windowed.getState().window).toMatchObject({ calls: 3, failureRate: 100 });
+    });
+    
+    it('should open when the failure rate reaches the threshold', async () => {
+      await run('success');
+      await run('fail');
+      await run('success');
+      expect(windowed.state).toBe('CLOSED');
+      
+      await run('fail');
+      expect(windowed.state).toBe('OPEN');
+    });
+    
+    it('should stay closed while the failure rate is below the threshold', async () => {
+      for (const outcome of ['success', 'success', 'fail', 'success', 'success', 'fail']) {
+        await run(outcome);
+      }
+      
+      expect(windowed.state).toBe('CLOSED');
+      expect(windowed.getState().window.failureRate).toBeCloseTo(33.33, 1);
+    });
+    
+    it('should only consider the last windowSize calls', async () => {
+      windowed.windowSize = 4;
+      for (const outcome of ['fail', 'success', 'success', 'success', 'success', 'fail']) {
+        await run(outcome);
+      }
+      
+      expect(windowed.getState().window).toMatchObject({ calls: 4, failureRate: 25 });
+    });
+    
+    it('should forget calls older than the monitoring period', async () => {
+      windowed = new CircuitBreaker({ mode: 'window', monitoringPeriod: 100, minimumCalls: 2 });
+      await run('fail');
+      await testUtils.wait(150);
+      await run('fail');
+      
+      expect(windowed.state).toBe('CLOSED');
+      expect(windowed.getState().window.calls).toBe(1);
+    });
+    
+    it('should open when too many calls are slow', async () => {
+      windowed.slowCallThreshold = 30;
+      await run('success');
+      await run('success');
+      await run('success', 40);
+      expect(windowed.state).toBe('CLOSED');
+      
+      await run('success', 40);
+      expect(windowed.state).toBe('OPEN');
+      expect(windowed.getMetrics()).toMatchObject({ totalSlow: 2, totalFailures: 0 });
+    });
+    
+    it('should not record ignored client errors in the window', async () => {
+      for (let i = 0; i < 4; i++) {
+        await windowed.execute(() => Promise.reject(new ServiceError('NO_TRANSCRIPT', 'None'))).catch(() => {});
+      }
+      
+      expect(windowed.state).toBe('CLOSED');
+      expect(windowed.getState().window.calls).toBe(0);
+    });
+    
+    it('should keep consecutive mode as the default', () => {
+      expect(circuitBreaker.mode).toBe('consecutive');
+      expect(circuitBreaker.getState().window).toBeUndefined();
+    });
+  });
+  
+  describe('CircuitBreakerGroup', () => {
+    let group;
+    
+    beforeEach(() => {
+      group = new CircuitBreakerGroup({
+        failureThreshold: 2,
+        resetTimeout: 1000,
+        keys: ['navigation', 'uiDetection'],
+        breakers: { browserLaunch: { failureThreshold: 1 } }
+      });
+    });
+    
+    it('should keep a separate breaker per key', async () => {
+      mockOperation.mockRejectedValue(new Error('fail'));
+      for (let i = 0; i < 2; i++) {
+        await expect(group.execute('uiDetection', mockOperation)).rejects.toThrow('fail');
+      }
+      
+      await expect(group.execute('uiDetection', mockOperation))
+        .rejects.toMatchObject({ code: 'CIRCUIT_OPEN', breaker: 'uiDetection' });
+      
+      mockOperation.mockResolvedValue('success');
+      await expect(group.execute('navigation', mockOperation)).resolves.toBe('success');
+    });
+    
+    it('should report the state of every breaker, including unused listed keys', () => {
+      const state = group.getState();
+      
+      expect(Object.keys(state)).toEqual(['navigation', 'uiDetection']);
+      expect(state.navigation).toHaveProperty('state', 'CLOSED');
+    });
+    
+    it('should apply per-key overrides', async () => {
+      expect(group.get('browserLaunch').failureThreshold).toBe(1);
+      expect(group.get('navigation').failureThreshold).toBe(2);
+      
+      mockOperation.mockRejectedValue(new Error('Browser failed to launch'));
+      await expect(group.execute('browserLaunch', mockOperation)).rejects.toThrow();
+      expect(group.get('browserLaunch').state).toBe('OPEN');
+    });
+    
+    it('should reset one or all breakers', async () => {
+      group.get('navigation').setState('OPEN');
+      group.get('uiDetection').setState('OPEN');
+      
+      group.reset('navigation');
+      expect(group.get('navigation').state).toBe('CLOSED');
+      expect(group.get('uiDetection').state).toBe('OPEN');
+      
+      group.reset();
+      expect(group.get('uiDetection').state).toBe('CLOSED');
+    });
+  });
+  
   describe('Manual controls', () => {
     it('should reset circuit breaker manually', async () => {
       mockOperation.mockRejectedValue(new Error('fail'));
@@ -183,6 +414,34 @@ describe('CircuitBreaker', () => {
       expect(circuitBreaker.lastFailureTime).toBeNull();
     });
     
+    it('should stay OPEN when forced open, even after the reset timeout', async () => {
+      circuitBreaker.forceOpen();
+      await testUtils.wait(1100);
+      
+      mockOperation.mockResolvedValue('success');
+      await expect(circuitBreaker.execute(mockOperation))
+        .rejects.toMatchObject({ code: 'CIRCUIT_OPEN', message: 'Circuit breaker is forced OPEN' });
+      expect(mockOperation).not.toHaveBeenCalled();
+      expect(circuitBreaker.getState()).toMatchObject({ state: 'OPEN', forced: true });
+    });
+    
+    it('should let calls through again when forced closed', async () => {
+      circuitBreaker.forceOpen();
+      circuitBreaker.forceClose();
+      
+      mockOperation.mockResolvedValue('success');
+      await expect(circuitBreaker.execute(mockOperation)).resolves.toBe('success');
+      expect(circuitBreaker.getState()).toMatchObject({ state: 'CLOSED', forced: false });
+    });
+    
+    it('should clear a forced open on reset', () => {
+      circuitBreaker.forceOpen();
+      circuitBreaker.reset();
+      
+      expect(circuitBreaker.state).toBe('CLOSED');
+      expect(circuitBreaker.forcedOpen).toBe(false);
+    });
+    
     it('should provide current state information', () => {
       const state = circuitBreaker.getState();
       
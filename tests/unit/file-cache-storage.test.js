@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileCacheStorage } = require('../../lib/file-cache-storage');
+
+describe('FileCacheStorage', () => {
+  let directory;
+  let storage;
+  
+  const entry = {
+    value: { videoId: 'abc', transcript: [] },
+    timestamp: Date.now(),
+    lastAccess: Date.now(),
+    hits: 0,
+    size: 10,
+    metadata: {}
+  };
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-cache-'));
+    storage = new FileCacheStorage({ directory: path.join(directory, 'cache') });
+  });
+  
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  it('should write entries and load them back', async () => {
+    await storage.set('key1', entry);
+    await storage.set('key2', { ...entry, hits: 2 });
+    
+    const entries = await storage.load();
+    
+    expect(entries).toHaveLength(2);
+    expect(entries).toContainEqual(['key1', entry]);
+    expect(entries).toContainEqual(['key2', { ...entry, hits: 2 }]);
+  });
+  
+  it('should not leave temporary files behind', async () => {
+    await storage.set('key1', entry);
+    
+    expect(fs.readdirSync(storage.directory)).toEqual(['key1.json']);
+  });
+  
+  it('should delete entries and ignore missing ones', async () => {
+    await storage.set('key1', entry);
+    
+    await storage.delete('key1');
+    await storage.delete('missing');
+    
+    expect(await storage.load()).toEqual([]);
+  });
+  
+  it('should clear all entries', async () => {
+    await storage.set('key1', entry);
+    await storage.set('key2', entry);
+    
+    await storage.clear();
+    
+    expect(await storage.load()).toEqual([]);
+  });
+  
+  it('should skip unreadable files', async () => {
+    await storage.set('key1', entry);
+    fs.writeFileSync(path.join(storage.directory, 'broken.json'), '{not json');
+    
+    expect(await storage.load()).toEqual([['key1', entry]]);
+  });
+});
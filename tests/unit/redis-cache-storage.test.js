@@ -0,0 +1,184 @@
+const net = require('net');
+const { RedisCacheStorage } = require('../../lib/redis-cache-storage');
+
+// Minimal RESP server supporting the commands the adapter uses
+const startRedisServer = () => new Promise(resolve => {
+  const data = new Map();
+  const commands = [];
+  
+  const encode = value => {
+    if (value === null) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+    if (value instanceof Error) return `-${value.message}\r\n`;
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  };
+  
+  const execute = ([name, ...args]) => {
+    commands.push([name.toUpperCase(), ...args]);
+    
+    switch (name.toUpperCase()) {
+      case 'AUTH':
+        return args[args.length - 1] === 'secret' ? 'OK' : new Error('WRONGPASS invalid password');
+      case 'SELECT':
+      case 'QUIT':
+        return 'OK';
+      case 'SET':
+        data.set(args[0], args[1]);
+        return 'OK';
+      case 'GET':
+        return data.get(args[0]) ?? null;
+      case 'MGET':
+        return args.map(key => data.get(key) ?? null);
+      case 'DEL':
+        return args.filter(key => data.delete(key)).length;
+      case 'SCAN': {
+        const prefix = args[2].replace(/\*$/, '');
+        return ['0', [...data.keys()].filter(key => key.startsWith(prefix))];
+      }
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  };
+  
+  const server = net.createServer(socket => {
+    let buffer = '';
+    
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      
+      // Parse complete *N arrays of bulk strings
+      while (buffer.startsWith('*')) {
+        const lines = buffer.split('\r\n');
+        const count = Number(lines[0].slice(1));
+        if (lines.length < count * 2 + 2) return;
+        
+        const args = [];
+        for (let i = 0; i < count; i++) {
+          args.push(lines[2 + i * 2]);
+        }
+        
+        buffer = lines.slice(count * 2 + 1).join('\r\n');
+        socket.write(encode(execute(args)));
+      }
+    });
+  });
+  
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, data, commands, port: server.address().port });
+  });
+});
+
+describe('RedisCacheStorage', () => {
+  let redis;
+  let storage;
+  
+  const entry = {
+    value: { videoId: 'abc', transcript: [] },
+    timestamp: Date.now(),
+    lastAccess: Date.now(),
+    hits: 0,
+    size: 10,
+    metadata: {}
+  };
+  
+  beforeEach(async () => {
+    redis = await startRedisServer();
+    storage = new RedisCacheStorage({ url: `redis://127.0.0.1:${redis.port}`, prefix: 'test:' });
+  });
+  
+  afterEach(async () => {
+    await storage.close();
+    await new Promise(resolve => redis.server.close(resolve));
+  });
+  
+  it('should store entries under the prefix with a TTL', async () => {
+    await storage.set('key1', entry, 60000);
+    
+    expect(JSON.parse(redis.data.get('test:key1'))).toEqual(entry);
+    expect(redis.commands).toContainEqual(['SET', 'test:key1', JSON.stringify(entry), 'PX', '60000']);
+  });
+  
+  it('should load stored entries', async () => {
+    await storage.set('key1', entry, 60000);
+    await storage.set('key2', { ...entry, hits: 3 }, 60000);
+    redis.data.set('other:key3', JSON.stringify(entry));
+    
+    const entries = await storage.load();
+    
+    expect(entries).toHaveLength(2);
+    expect(entries).toContainEqual(['key1', entry]);
+    expect(entries).toContainEqual(['key2', { ...entry, hits: 3 }]);
+  });
+  
+  it('should delete and clear entries', async () => {
+    await storage.set('key1', entry, 60000);
+    await storage.set('key2', entry, 60000);
+    
+    await storage.delete('key1');
+    expect(redis.data.has('test:key1')).toBe(false);
+    
+    await storage.clear();
+    expect(redis.data.size).toBe(0);
+  });
+  
+  it('should authenticate and select the database from the URL', async () => {
+    const authenticated = new RedisCacheStorage({ url: `redis://:secret@127.0.0.1:${redis.port}/2` });
+    
+    await authenticated.set('key1', entry, 0);
+    await authenticated.close();
+    
+    expect(redis.commands.slice(0, 2)).toEqual([['AUTH', 'secret'], ['SELECT', '2']]);
+    expect(redis.commands).toContainEqual(['SET', 'transcripts:key1', JSON.stringify(entry)]);
+  });
+  
+  it('should surface Redis error replies', async () => {
+    const rejected = new RedisCacheStorage({ url: `redis://:wrong@127.0.0.1:${redis.port}` });
+    
+    await expect(rejected.load()).rejects.toThrow('WRONGPASS');
+    await rejected.close();
+  });
+  
+  it('should close the connection when AUTH is rejected', async () => {
+    const rejected = new RedisCacheStorage({ url: `redis://:wrong@127.0.0.1:${redis.port}` });
+    const createConnection = jest.spyOn(net, 'createConnection');
+    
+    await expect(rejected.connect()).rejects.toThrow('WRONGPASS');
+    expect(rejected.socket).toBeNull();
+    expect(createConnection.mock.results[0].value.destroyed).toBe(true);
+    createConnection.mockRestore();
+    
+    // Later commands handshake again instead of running unauthenticated
+    await expect(rejected.set('key1', entry, 0)).rejects.toThrow('WRONGPASS');
+    expect(redis.commands.filter(([name]) => name === 'AUTH')).toHaveLength(2);
+    expect(redis.commands.map(([name]) => name)).not.toContain('SET');
+    await rejected.close();
+  });
+  
+  it('should fail when the server is unreachable', async () => {
+    const unreachable = new RedisCacheStorage({ url: 'redis://127.0.0.1:1', connectTimeout: 500 });
+    
+    await expect(unreachable.set('key1', entry, 1000)).rejects.toThrow();
+  });
+  
+  it('should parse replies split across packets', () => {
+    const partial = Buffer.from('*2\r\n$3\r\nfoo\r\n$3\r\nb');
+    
+    expect(storage.parseReply(partial, 0)).toBeNull();
+    expect(storage.parseReply(Buffer.from('*2\r\n$3\r\nfoo\r\n$-1\r\n'), 0).value).toEqual(['foo', null]);
+  });
+  
+  it('should drop the connection on a malformed reply and reconnect', async () => {
+    await storage.set('key1', entry, 60000);
+    const socket = storage.socket;
+    
+    const pending = storage.send(['GET', 'test:key1']);
+    expect(() => storage.onData(Buffer.from('%1\r\n'))).not.toThrow();
+    
+    await expect(pending).rejects.toMatchObject({ code: 'STORAGE_UNAVAILABLE' });
+    expect(socket.destroyed).toBe(true);
+    
+    await storage.set('key2', entry, 60000);
+    expect(redis.data.has('test:key2')).toBe(true);
+  });
+});
@@ -1,4 +1,5 @@
 const { RequestQueue } = require('../../lib/request-queue');
+const { RetryPolicy, RetryAttempts } = require('../../lib/retry-policy');
 
 describe('RequestQueue', () => {
   let requestQueue;
@@ -24,7 +25,7 @@ describe('RequestQueue', () => {
       });
       
       expect(result).toBe('result');
-      expect(mockCallback).toHaveBeenCalledWith('request1');
+      expect(mockCallback).toHaveBeenCalledWith('request1', expect.any(AbortSignal), null);
       expect(requestQueue.getStats().completed).toBe(1);
     });
     
@@ -55,6 +56,8 @@ describe('RequestQueue', () => {
       // Should reject next request
       await expect(requestQueue.enqueue('overflow', { callback: mockCallback }))
         .rejects.toThrow('Queue is full');
+      expect(() => requestQueue.submit('overflow', { callback: mockCallback }))
+        .toThrow(expect.objectContaining({ code: 'QUEUE_FULL' }));
     });
   });
   
@@ -155,7 +158,8 @@ describe('RequestQueue', () => {
       mockCallback.mockClear();
       const start = Date.now();
       
-      await requestQueue.enqueue('req6', { callback: mockCallback });
+      // The queue timeout covers waiting too, so allow for the rate limit window
+      await requestQueue.enqueue('req6', { callback: mockCallback, timeout: 5000 });
       
       const elapsed = Date.now() - start;
       expect(elapsed).toBeGreaterThanOrEqual(900); // Should wait for rate limit window
@@ -190,6 +194,7 @@ describe('RequestQueue', () => {
         fail('Should have timed out');
       } catch (error) {
         expect(error.message).toContain('Request timeout');
+        expect(error.code).toBe('TIMEOUT');
       }
       
       expect(requestQueue.getStats().failed).toBe(1);
@@ -332,6 +337,265 @@ describe('RequestQueue', () => {
     });
   });
   
+  describe('Item lifecycle', () => {
+    it('should return the item id from submit', async () => {
+      const { id, promise } = requestQueue.submit(() => Promise.resolve('done'), {
+        metadata: { videoId: 'abc' }
+      });
+      
+      expect(requestQueue.getItem(id)).toMatchObject({ id, metadata: { videoId: 'abc' } });
+      
+      await expect(promise).resolves.toBe('done');
+      expect(requestQueue.getItem(id).status).toBe('completed');
+      expect(requestQueue.getItem(id).result).toBe('done');
+    });
+    
+    it('should keep failed items for lookup', async () => {
+      const error = new Error('Permanent failure');
+      error.status = 404;
+      const { id, promise } = requestQueue.submit(() => Promise.reject(error));
+      
+      await expect(promise).rejects.toThrow('Permanent failure');
+      expect(requestQueue.getItem(id)).toMatchObject({ status: 'failed', error });
+    });
+    
+    it('should return null for unknown ids', () => {
+      expect(requestQueue.getItem('req_unknown')).toBeNull();
+    });
+    
+    it('should cancel queued items', async () => {
+      const slow = () => new Promise(resolve => setTimeout(() => resolve('slow'), 100));
+      requestQueue.enqueue(slow);
+      requestQueue.enqueue(slow);
+      const { id, promise } = requestQueue.submit(jest.fn());
+      
+      expect(requestQueue.cancel(id)).toBe(true);
+      
+      await expect(promise).rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(requestQueue.getItem(id).status).toBe('cancelled');
+      expect(requestQueue.getQueueStatus().waiting).toBe(0);
+      expect(requestQueue.getStats().cancelled).toBe(1);
+    });
+    
+    it('should discard results of items cancelled while processing', async () => {
+      let finish;
+      const { id, promise } = requestQueue.submit(() => new Promise(resolve => { finish = resolve; }));
+      
+      await testUtils.wait(10);
+      expect(requestQueue.cancel(id)).toBe(true);
+      await expect(promise).rejects.toMatchObject({ code: 'CANCELLED' });
+      
+      finish('late result');
+      await testUtils.wait(10);
+      
+      expect(requestQueue.getItem(id).status).toBe('cancelled');
+      expect(requestQueue.getStats().completed).toBe(0);
+      expect(requestQueue.getQueueStatus().processing).toBe(0);
+    });
+    
+    it('should not cancel finished items', async () => {
+      const { id, promise } = requestQueue.submit(() => Promise.resolve('done'));
+      await promise;
+      
+      expect(requestQueue.cancel(id)).toBe(false);
+    });
+  });
+  
+  describe('Retry policy', () => {
+    const retryable = () => Object.assign(new Error('Service unavailable'), { status: 503 });
+    
+    it('should pass the retry ledger for the item priority to the request', async () => {
+      const policy = new RetryPolicy({ maxAttempts: 2 });
+      requestQueue = new RequestQueue({ retryPolicies: { HIGH: policy } });
+      const request = jest.fn().mockResolvedValue('done');
+      
+      await requestQueue.enqueue(request, { priority: requestQueue.priorities.HIGH });
+      await requestQueue.enqueue(request);
+      
+      expect(request.mock.calls[0][1]).toBeInstanceOf(RetryAttempts);
+      expect(request.mock.calls[0][1].policy).toBe(policy);
+      expect(request.mock.calls[1][1]).toBeNull();
+    });
+    
+    it('should prefer a per-item policy', async () => {
+      const policy = new RetryPolicy({ maxAttempts: 1 });
+      requestQueue = new RequestQueue({ retryPolicies: { NORMAL: new RetryPolicy() } });
+      const request = jest.fn().mockResolvedValue('done');
+      
+      await requestQueue.enqueue(request, { retryPolicy: policy });
+      
+      expect(request.mock.calls[0][1].policy).toBe(policy);
+    });
+    
+    it('should not retry once retries inside the request used up the budget', async () => {
+      requestQueue = new RequestQueue({ retryPolicies: { NORMAL: new RetryPolicy({ maxAttempts: 3 }) } });
+      const request = jest.fn(async (signal, attempts) => {
+        attempts.record('retryManager');
+        attempts.record('retryManager');
+        throw retryable();
+      });
+      
+      const error = await requestQueue.enqueue(request).catch(e => e);
+      
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(error.attempts).toMatchObject({ total: 3, retries: { queue: 0, retryManager: 2 } });
+    });
+    
+    it('should record its own retries in the ledger', async () => {
+      requestQueue = new RequestQueue({ retryPolicies: { NORMAL: new RetryPolicy({ maxAttempts: 2 }) } });
+      const request = jest.fn()
+        .mockRejectedValueOnce(retryable())
+        .mockResolvedValueOnce('done');
+      
+      const { id, promise } = requestQueue.submit(request);
+      
+      await expect(promise).resolves.toBe('done');
+      expect(request).toHaveBeenCalledTimes(2);
+      expect(requestQueue.getItem(id).attempts.toJSON()).toMatchObject({ total: 2, retries: { queue: 1 } });
+    });
+  });
+  
+  describe('Abort signals', () => {
+    it('should pass an abort signal to the request', async () => {
+      const request = jest.fn().mockResolvedValue('done');
+      
+      await requestQueue.enqueue(request);
+      
+      expect(request.mock.calls[0][0]).toBeInstanceOf(AbortSignal);
+      expect(request.mock.calls[0][0].aborted).toBe(false);
+    });
+    
+    it('should abort running work when the item is cancelled', async () => {
+      let signal;
+      const { id, promise } = requestQueue.submit(requestSignal => {
+        signal = requestSignal;
+        return new Promise(() => {});
+      });
+      
+      await testUtils.wait(10);
+      requestQueue.cancel(id, 'No longer needed');
+      
+      await expect(promise).rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(signal.aborted).toBe(true);
+      expect(signal.reason).toMatchObject({ code: 'CANCELLED', message: 'No longer needed' });
+    });
+    
+    it('should abort running work on timeout without retrying it', async () => {
+      let signal;
+      const request = jest.fn(requestSignal => {
+        signal = requestSignal;
+        return new Promise(() => {});
+      });
+      
+      await expect(requestQueue.enqueue(request, { timeout: 50 }))
+        .rejects.toMatchObject({ code: 'TIMEOUT' });
+      
+      expect(signal.aborted).toBe(true);
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(requestQueue.getStats()).toMatchObject({ timedOut: 1, failed: 1 });
+      expect(requestQueue.getQueueStatus().processing).toBe(0);
+    });
+    
+    it('should cancel the item when the caller signal aborts', async () => {
+      const controller = new AbortController();
+      let signal;
+      const promise = requestQueue.enqueue(requestSignal => {
+        signal = requestSignal;
+        return new Promise(() => {});
+      }, { signal: controller.signal });
+      
+      await testUtils.wait(10);
+      controller.abort(new Error('Client disconnected'));
+      
+      await expect(promise).rejects.toMatchObject({ code: 'CANCELLED', message: 'Client disconnected' });
+      expect(signal.aborted).toBe(true);
+      expect(requestQueue.getStats().cancelled).toBe(1);
+    });
+    
+    it('should not run items whose signal already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const request = jest.fn();
+      
+      await expect(requestQueue.enqueue(request, { signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(request).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('Runtime controls', () => {
+    it('should hold queued items while paused and run them on resume', async () => {
+      const request = jest.fn().mockResolvedValue('done');
+      
+      expect(requestQueue.pause()).toBe(true);
+      const promise = requestQueue.enqueue(request);
+      await testUtils.wait(50);
+      
+      expect(request).not.toHaveBeenCalled();
+      expect(requestQueue.getQueueStatus()).toMatchObject({ waiting: 1, paused: true });
+      
+      expect(requestQueue.resume()).toBe(true);
+      await expect(promise).resolves.toBe('done');
+      expect(requestQueue.resume()).toBe(false);
+    });
+    
+    it('should let running items finish when paused', async () => {
+      const promise = requestQueue.enqueue(async () => {
+        await testUtils.wait(50);
+        return 'finished';
+      });
+      
+      requestQueue.pause();
+      
+      await expect(promise).resolves.toBe('finished');
+    });
+    
+    it('should cancel waiting items when drained', async () => {
+      requestQueue.pause();
+      const promises = [
+        requestQueue.enqueue(jest.fn()),
+        requestQueue.enqueue(jest.fn())
+      ];
+      
+      expect(requestQueue.drain()).toBe(2);
+      
+      for (const promise of promises) {
+        await expect(promise).rejects.toMatchObject({ code: 'CANCELLED', message: 'Queue drained' });
+      }
+      expect(requestQueue.getQueueStatus().waiting).toBe(0);
+    });
+    
+    it('should change concurrency and rate limits', async () => {
+      const settings = requestQueue.configure({ maxConcurrent: 4, rateLimitMax: 20 });
+      
+      expect(settings).toEqual({
+        paused: false,
+        maxConcurrent: 4,
+        rateLimitMax: 20,
+        rateLimitWindow: 1000
+      });
+      expect(requestQueue.rateLimiter.maxRequests).toBe(20);
+    });
+    
+    it('should start waiting items when concurrency is raised', async () => {
+      requestQueue.configure({ maxConcurrent: 1 });
+      const started = [];
+      const slow = (name) => async () => {
+        started.push(name);
+        await testUtils.wait(100);
+      };
+      
+      requestQueue.enqueue(slow('a'));
+      requestQueue.enqueue(slow('b'));
+      await testUtils.wait(20);
+      expect(started).toEqual(['a']);
+      
+      requestQueue.configure({ maxConcurrent: 2 });
+      await testUtils.wait(20);
+      expect(started).toEqual(['a', 'b']);
+    });
+  });
+  
   describe('Cleanup', () => {
     it('should clear old completed items', async () => {
       mockCallback.mockResolvedValue('ok');
@@ -351,5 +615,16 @@ describe('RequestQueue', () => {
       
       expect(requestQueue.completed.size).toBe(0);
     });
+    
+    it('should clear old failed and cancelled items', async () => {
+      const { id, promise } = requestQueue.submit(() => new Promise(() => {}));
+      promise.catch(() => {});
+      requestQueue.cancel(id);
+      
+      await testUtils.wait(10);
+      
+      expect(requestQueue.clearCompleted(0)).toBe(1);
+      expect(requestQueue.getItem(id)).toBeNull();
+    });
   });
 });
\ No newline at end of file
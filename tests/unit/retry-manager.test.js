@@ -1,4 +1,6 @@
 const { RetryManager } = require('../../lib/retry-manager');
+const { ServiceError } = require('../../lib/service-error');
+const { RetryPolicy } = require('../../lib/retry-policy');
 
 describe('RetryManager', () => {
   let retryManager;
@@ -59,29 +61,58 @@ describe('RetryManager', () => {
     });
     
     it('should not retry non-retryable errors', async () => {
-      const nonRetryableErrors = [
-        'Video not found',
-        'Private video',
-        'Removed video',
-        'Transcript not available',
-        'No captions available',
-        'Invalid video ID',
-        'Authentication failed',
-        'Forbidden',
-        'Unauthorized'
+      const nonRetryableCodes = [
+        'VIDEO_NOT_FOUND',
+        'PRIVATE_VIDEO',
+        'AGE_RESTRICTED',
+        'NO_TRANSCRIPT',
+        'INVALID_VIDEO_ID',
+        'CIRCUIT_OPEN',
+        'QUEUE_FULL'
       ];
       
-      for (const errorMessage of nonRetryableErrors) {
+      for (const code of nonRetryableCodes) {
         mockOperation.mockClear();
-        mockOperation.mockRejectedValue(new Error(errorMessage));
+        mockOperation.mockRejectedValue(new ServiceError(code, `Failed with ${code}`));
         
         await expect(retryManager.executeWithRetry(mockOperation))
-          .rejects.toThrow(errorMessage);
+          .rejects.toMatchObject({ code });
         
         expect(mockOperation).toHaveBeenCalledTimes(1);
       }
     });
     
+    it('should not retry client HTTP errors', async () => {
+      for (const status of [401, 403, 404]) {
+        const error = new Error('Client error');
+        error.status = status;
+        
+        mockOperation.mockClear();
+        mockOperation.mockRejectedValue(error);
+        
+        await expect(retryManager.executeWithRetry(mockOperation)).rejects.toThrow('Client error');
+        expect(mockOperation).toHaveBeenCalledTimes(1);
+      }
+    });
+    
+    it('should retry retryable error codes on every attempt', async () => {
+      for (const code of ['TIMEOUT', 'UI_CHANGED', 'RATE_LIMITED', 'ECONNRESET']) {
+        const error = new Error(`Failed with ${code}`);
+        error.code = code;
+        
+        // Fresh manager per code so the retry budget doesn't interfere
+        const manager = new RetryManager({ maxRetries: 3, jitter: false });
+        jest.spyOn(manager, 'sleep').mockResolvedValue();
+        
+        mockOperation.mockClear();
+        mockOperation.mockRejectedValue(error);
+        
+        await expect(manager.executeWithRetry(mockOperation))
+          .rejects.toThrow('Operation failed after 3 retries');
+        expect(mockOperation).toHaveBeenCalledTimes(4);
+      }
+    });
+    
     it('should always retry network errors', async () => {
       const networkErrors = [
         'timeout',
@@ -244,6 +275,85 @@ describe('RetryManager', () => {
     });
   });
   
+  describe('Retry policy', () => {
+    it('should stop at the policy attempt limit and record its retries', async () => {
+      const attempts = new RetryPolicy({ maxAttempts: 2, baseDelay: 10, jitter: false }).start();
+      mockOperation.mockRejectedValue(new Error('timeout'));
+      
+      await expect(retryManager.executeWithRetry(mockOperation, { attempts }))
+        .rejects.toThrow('timeout');
+      
+      expect(mockOperation).toHaveBeenCalledTimes(2);
+      expect(attempts.retries.retryManager).toBe(1);
+    });
+    
+    it('should count retries made by other layers against the limit', async () => {
+      const attempts = new RetryPolicy({ maxAttempts: 3, baseDelay: 10, jitter: false }).start();
+      attempts.record('queue');
+      mockOperation.mockRejectedValue(new Error('timeout'));
+      
+      await expect(retryManager.executeWithRetry(mockOperation, { attempts })).rejects.toThrow();
+      
+      expect(mockOperation).toHaveBeenCalledTimes(2);
+      expect(attempts.total).toBe(3);
+    });
+    
+    it('should not wait past the time budget', async () => {
+      const attempts = new RetryPolicy({ maxAttempts: 10, timeBudget: 500, baseDelay: 1000, jitter: false }).start();
+      mockOperation.mockRejectedValue(new Error('timeout'));
+      
+      const started = Date.now();
+      await expect(retryManager.executeWithRetry(mockOperation, { attempts })).rejects.toThrow('timeout');
+      
+      expect(Date.now() - started).toBeLessThan(500);
+      expect(mockOperation).toHaveBeenCalledTimes(1);
+      expect(attempts.retries.retryManager).toBe(0);
+    });
+    
+    it('should use the policy backoff', () => {
+      const policy = new RetryPolicy({ baseDelay: 50, factor: 3, maxDelay: 400, jitter: false });
+      
+      expect(retryManager.calculateDelay(1, new Error('x'), policy)).toBe(150);
+      expect(retryManager.calculateDelay(3, new Error('x'), policy)).toBe(400);
+    });
+  });
+  
+  describe('Cancellation', () => {
+    it('should stop retrying once the signal aborts', async () => {
+      const controller = new AbortController();
+      mockOperation.mockImplementation(async () => {
+        controller.abort(new ServiceError('CANCELLED', 'Client disconnected'));
+        throw new Error('Target closed');
+      });
+      
+      await expect(retryManager.executeWithRetry(mockOperation, { signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(mockOperation).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should interrupt the backoff delay', async () => {
+      const controller = new AbortController();
+      mockOperation.mockRejectedValue(new Error('timeout'));
+      
+      const started = Date.now();
+      const promise = retryManager.executeWithRetry(mockOperation, { signal: controller.signal });
+      setTimeout(() => controller.abort(new ServiceError('CANCELLED', 'Cancelled')), 20);
+      
+      await expect(promise).rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(Date.now() - started).toBeLessThan(100);
+      expect(mockOperation).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should not start when the signal already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort(new ServiceError('CANCELLED', 'Cancelled'));
+      
+      await expect(retryManager.executeWithRetry(mockOperation, { signal: controller.signal }))
+        .rejects.toMatchObject({ code: 'CANCELLED' });
+      expect(mockOperation).not.toHaveBeenCalled();
+    });
+  });
+  
   describe('Statistics', () => {
     it('should provide retry budget statistics', () => {
       retryManager.retryBudget.recordRetry();
@@ -0,0 +1,84 @@
+const { RetryPolicy } = require('../../lib/retry-policy');
+
+describe('RetryPolicy', () => {
+  let policy;
+  
+  beforeEach(() => {
+    policy = new RetryPolicy({
+      maxAttempts: 3,
+      timeBudget: 1000,
+      baseDelay: 100,
+      uiAttempts: 2
+    });
+  });
+  
+  describe('Configuration', () => {
+    it('should use defaults', () => {
+      const defaults = new RetryPolicy();
+      
+      expect(defaults.toJSON()).toEqual({ maxAttempts: 4, timeBudget: 90000, uiAttempts: 3 });
+      expect(defaults.uiRetryDelay).toBe(2000);
+      expect(defaults.jitter).toBe(true);
+    });
+    
+    it('should only lower limits when restricted', () => {
+      const restricted = policy.restrict({ maxAttempts: 1, timeBudget: 5000 });
+      
+      expect(restricted.toJSON()).toEqual({ maxAttempts: 1, timeBudget: 1000, uiAttempts: 2 });
+      expect(restricted.baseDelay).toBe(100);
+      expect(policy.maxAttempts).toBe(3);
+    });
+    
+    it('should ignore missing or invalid limits', () => {
+      expect(policy.restrict({ maxAttempts: 0 }).maxAttempts).toBe(3);
+      expect(policy.restrict().toJSON()).toEqual(policy.toJSON());
+    });
+  });
+  
+  describe('Attempts', () => {
+    it('should count the first attempt plus queue and retry manager retries', () => {
+      const attempts = policy.start();
+      
+      expect(attempts.total).toBe(1);
+      attempts.record('retryManager');
+      attempts.record('queue');
+      attempts.record('uiDetector');
+      
+      expect(attempts.total).toBe(3);
+      expect(attempts.retries).toEqual({ queue: 1, retryManager: 1, uiDetector: 1 });
+    });
+    
+    it('should stop allowing retries at the attempt limit', () => {
+      const attempts = policy.start();
+      
+      expect(attempts.canRetry()).toBe(true);
+      attempts.record('retryManager');
+      expect(attempts.canRetry()).toBe(true);
+      attempts.record('queue');
+      expect(attempts.canRetry()).toBe(false);
+    });
+    
+    it('should not allow a retry whose delay overruns the time budget', () => {
+      const attempts = policy.start();
+      attempts.startedAt = Date.now() - 800;
+      
+      expect(attempts.hasTime(100)).toBe(true);
+      expect(attempts.canRetry(100)).toBe(true);
+      expect(attempts.hasTime(300)).toBe(false);
+      expect(attempts.canRetry(300)).toBe(false);
+    });
+    
+    it('should report a breakdown', () => {
+      const attempts = policy.start();
+      attempts.record('retryManager');
+      
+      expect(attempts.toJSON()).toMatchObject({
+        total: 2,
+        maxAttempts: 3,
+        retries: { queue: 0, retryManager: 1, uiDetector: 0 },
+        timeBudget: 1000
+      });
+      expect(attempts.toJSON().elapsed).toBeGreaterThanOrEqual(0);
+    });
+  });
+});
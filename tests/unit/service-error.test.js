@@ -0,0 +1,99 @@
+const { ServiceError, ERROR_CODES } = require('../../lib/service-error');
+
+describe('ServiceError', () => {
+  describe('Construction', () => {
+    it('should carry its code and mapped status', () => {
+      const error = new ServiceError('PRIVATE_VIDEO', 'Video is private');
+      
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('ServiceError');
+      expect(error.code).toBe('PRIVATE_VIDEO');
+      expect(error.status).toBe(403);
+      expect(error.message).toBe('Video is private');
+    });
+    
+    it('should attach details', () => {
+      const error = new ServiceError('NO_TRANSCRIPT', 'Not available', { availableLanguages: ['en'] });
+      
+      expect(error.availableLanguages).toEqual(['en']);
+    });
+    
+    it('should default unknown codes to 500', () => {
+      expect(new ServiceError('SOMETHING_ELSE', 'Oops').status).toBe(500);
+    });
+  });
+  
+  describe('Status mapping', () => {
+    it('should map every code to a consistent HTTP status', () => {
+      expect(ERROR_CODES).toMatchObject({
+        VIDEO_NOT_FOUND: { status: 404 },
+        PRIVATE_VIDEO: { status: 403 },
+        AGE_RESTRICTED: { status: 403 },
+        NO_TRANSCRIPT: { status: 404 },
+        UI_CHANGED: { status: 502 },
+        TIMEOUT: { status: 504 },
+        CIRCUIT_OPEN: { status: 503 },
+        QUEUE_FULL: { status: 503 },
+        RATE_LIMITED: { status: 429 }
+      });
+    });
+    
+    it('should resolve codes through wrapping errors', () => {
+      const wrapped = new Error('Operation failed after 3 retries: Timed out');
+      wrapped.originalError = new ServiceError('TIMEOUT', 'Timed out');
+      
+      expect(ServiceError.codeOf(wrapped)).toBe('TIMEOUT');
+      expect(ServiceError.statusOf(wrapped)).toBe(504);
+    });
+    
+    it('should treat Playwright timeouts as TIMEOUT', () => {
+      const error = new Error('Timeout 30000ms exceeded');
+      error.name = 'TimeoutError';
+      
+      expect(ServiceError.codeOf(error)).toBe('TIMEOUT');
+    });
+    
+    it('should fall back to explicit statuses and then 500', () => {
+      const notFound = new Error('Playlist not found');
+      notFound.status = 404;
+      
+      expect(ServiceError.statusOf(notFound)).toBe(404);
+      expect(ServiceError.statusOf(new Error('Unexpected'))).toBe(500);
+      expect(ServiceError.codeOf(new Error('Unexpected'))).toBeNull();
+    });
+  });
+  
+  describe('Retryability', () => {
+    it('should follow the taxonomy', () => {
+      expect(ServiceError.isRetryable(new ServiceError('TIMEOUT', 'x'))).toBe(true);
+      expect(ServiceError.isRetryable(new ServiceError('UI_CHANGED', 'x'))).toBe(true);
+      expect(ServiceError.isRetryable(new ServiceError('RATE_LIMITED', 'x'))).toBe(true);
+      expect(ServiceError.isRetryable(new ServiceError('VIDEO_NOT_FOUND', 'x'))).toBe(false);
+      expect(ServiceError.isRetryable(new ServiceError('CIRCUIT_OPEN', 'x'))).toBe(false);
+    });
+    
+    it('should retry network codes and server statuses', () => {
+      const reset = new Error('socket hang up');
+      reset.code = 'ECONNRESET';
+      const serverError = new Error('Bad gateway');
+      serverError.status = 502;
+      const clientError = new Error('Bad request');
+      clientError.status = 400;
+      
+      expect(ServiceError.isRetryable(reset)).toBe(true);
+      expect(ServiceError.isRetryable(serverError)).toBe(true);
+      expect(ServiceError.isRetryable(clientError)).toBe(false);
+    });
+    
+    it('should leave unclassified errors undecided', () => {
+      expect(ServiceError.isRetryable(new Error('Something odd'))).toBeUndefined();
+    });
+    
+    it('should leave errors wrapping exhausted retries unclassified', () => {
+      const wrapped = new Error('Operation failed after 3 retries');
+      wrapped.originalError = new ServiceError('TIMEOUT', 'Timed out');
+      
+      expect(ServiceError.isRetryable(wrapped)).toBeUndefined();
+    });
+  });
+});
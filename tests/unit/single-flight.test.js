@@ -0,0 +1,141 @@
+const { SingleFlight } = require('../../lib/single-flight');
+
+describe('SingleFlight', () => {
+  let singleFlight;
+  
+  beforeEach(() => {
+    singleFlight = new SingleFlight();
+  });
+  
+  it('should share one in-flight call between concurrent callers', async () => {
+    const operation = jest.fn(async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return 'result';
+    });
+    
+    const results = await Promise.all([
+      singleFlight.run('key', operation),
+      singleFlight.run('key', operation),
+      singleFlight.run('key', operation)
+    ]);
+    
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(results).toEqual(['result', 'result', 'result']);
+    expect(singleFlight.getStats()).toEqual({ executed: 1, coalesced: 2, aborted: 0, inFlight: 0 });
+  });
+  
+  it('should run different keys independently', async () => {
+    const operation = jest.fn(async () => 'result');
+    
+    await Promise.all([
+      singleFlight.run('a', operation),
+      singleFlight.run('b', operation)
+    ]);
+    
+    expect(operation).toHaveBeenCalledTimes(2);
+    expect(singleFlight.getStats().coalesced).toBe(0);
+  });
+  
+  it('should reject every caller when the call fails', async () => {
+    const operation = jest.fn(async () => {
+      throw new Error('Extraction failed');
+    });
+    
+    const first = singleFlight.run('key', operation);
+    const second = singleFlight.run('key', operation);
+    
+    await expect(first).rejects.toThrow('Extraction failed');
+    await expect(second).rejects.toThrow('Extraction failed');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+  
+  it('should start a new call once the previous one settles', async () => {
+    const operation = jest.fn(async () => 'result');
+    
+    await singleFlight.run('key', operation);
+    expect(singleFlight.has('key')).toBe(false);
+    
+    await singleFlight.run('key', operation);
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+  
+  it('should catch synchronous throws from the operation', async () => {
+    const result = singleFlight.run('key', () => {
+      throw new Error('Boom');
+    });
+    
+    await expect(result).rejects.toThrow('Boom');
+    expect(singleFlight.has('key')).toBe(false);
+  });
+  
+  describe('Cancellation', () => {
+    const pending = () => {
+      let signal;
+      const operation = jest.fn(operationSignal => {
+        signal = operationSignal;
+        return new Promise(resolve => setTimeout(() => resolve('result'), 50));
+      });
+      return { operation, signal: () => signal };
+    };
+    
+    it('should reject only the caller whose signal aborted', async () => {
+      const { operation, signal } = pending();
+      const controller = new AbortController();
+      
+      const first = singleFlight.run('key', operation, controller.signal);
+      const second = singleFlight.run('key', operation, new AbortController().signal);
+      await testUtils.wait(10);
+      
+      controller.abort(new Error('Client disconnected'));
+      
+      await expect(first).rejects.toThrow('Client disconnected');
+      await expect(second).resolves.toBe('result');
+      expect(signal().aborted).toBe(false);
+      expect(singleFlight.getStats().aborted).toBe(0);
+    });
+    
+    it('should abort the operation once every caller has aborted', async () => {
+      const { operation, signal } = pending();
+      const a = new AbortController();
+      const b = new AbortController();
+      
+      const first = singleFlight.run('key', operation, a.signal);
+      const second = singleFlight.run('key', operation, b.signal);
+      await testUtils.wait(10);
+      
+      a.abort(new Error('Gone'));
+      b.abort(new Error('Gone'));
+      
+      await expect(first).rejects.toThrow('Gone');
+      await expect(second).rejects.toThrow('Gone');
+      expect(signal().aborted).toBe(true);
+      expect(singleFlight.has('key')).toBe(false);
+      expect(singleFlight.getStats().aborted).toBe(1);
+    });
+    
+    it('should keep the operation running for callers without a signal', async () => {
+      const { operation, signal } = pending();
+      const controller = new AbortController();
+      
+      const first = singleFlight.run('key', operation, controller.signal);
+      const second = singleFlight.run('key', operation);
+      controller.abort(new Error('Gone'));
+      
+      await expect(first).rejects.toThrow('Gone');
+      await expect(second).resolves.toBe('result');
+      expect(signal().aborted).toBe(false);
+    });
+    
+    it('should start a fresh call after an aborted one', async () => {
+      const { operation } = pending();
+      const controller = new AbortController();
+      
+      const aborted = singleFlight.run('key', operation, controller.signal);
+      controller.abort(new Error('Gone'));
+      await expect(aborted).rejects.toThrow('Gone');
+      
+      await expect(singleFlight.run('key', operation)).resolves.toBe('result');
+      expect(operation).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { TranscriptFormatter } = require('../../lib/transcript-formatter');
+
+describe('TranscriptFormatter', () => {
+  let formatter;
+  
+  const result = {
+    videoId: 'test123',
+    transcript: [
+      { text: 'Hello world', start: 0, duration: 1.5, end: 1.5 },
+      { text: 'Second\nline', start: 3661.25, duration: 2 }
+    ]
+  };
+  
+  beforeEach(() => {
+    formatter = new TranscriptFormatter();
+  });
+  
+  describe('Format selection', () => {
+    it('should support json, srt, vtt, txt and tsv', () => {
+      ['json', 'srt', 'vtt', 'txt', 'tsv'].forEach(format => {
+        expect(formatter.isSupported(format)).toBe(true);
+      });
+      expect(formatter.isSupported('docx')).toBe(false);
+      expect(formatter.isSupported('toString')).toBe(false);
+    });
+    
+    it('should return matching content types', () => {
+      expect(formatter.format(result, 'srt').contentType).toMatch(/^application\/x-subrip/);
+      expect(formatter.format(result, 'vtt').contentType).toMatch(/^text\/vtt/);
+      expect(formatter.format(result, 'txt').contentType).toMatch(/^text\/plain/);
+      expect(formatter.format(result, 'tsv').contentType).toMatch(/^text\/tab-separated-values/);
+    });
+    
+    it('should render json unchanged', () => {
+      expect(JSON.parse(formatter.format(result, 'json').body)).toEqual(result);
+    });
+    
+    it('should reject unsupported formats', () => {
+      expect(() => formatter.format(result, 'docx')).toThrow('Unsupported format: docx');
+    });
+  });
+  
+  describe('Rendering', () => {
+    it('should render SRT cues', () => {
+      expect(formatter.toSRT(result.transcript)).toBe(
+        '1\n00:00:00,000 --> 00:00:01,500\nHello world\n\n' +
+        '2\n01:01:01,250 --> 01:01:03,250\nSecond line\n'
+      );
+    });
+    
+    it('should render WebVTT cues', () => {
+      expect(formatter.toVTT(result.transcript)).toBe(
+        'WEBVTT\n\n' +
+        '00:00:00.000 --> 00:00:01.500\nHello world\n\n' +
+        '01:01:01.250 --> 01:01:03.250\nSecond line\n'
+      );
+    });
+    
+    it('should escape markup in WebVTT text', () => {
+      const vtt = formatter.toVTT([{ text: 'a < b && c --> d', start: 0, duration: 1 }]);
+      
+      expect(vtt).toContain('a &lt; b &amp;&amp; c -&gt; d');
+    });
+    
+    it('should render plain text', () => {
+      expect(formatter.toText(result.transcript)).toBe('Hello world\nSecond line\n');
+    });
+    
+    it('should render TSV with a header row', () => {
+      expect(formatter.toTSV([{ text: 'tab\there', start: 2, duration: 3 }])).toBe(
+        'start\tend\ttext\n2\t5\ttab here\n'
+      );
+    });
+  });
+});
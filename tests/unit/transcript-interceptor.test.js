@@ -0,0 +1,213 @@
+const { TranscriptInterceptor } = require('../../lib/transcript-interceptor');
+
+describe('TranscriptInterceptor', () => {
+  let interceptor;
+  
+  const mockResponse = (url, body) => ({
+    url: () => url,
+    text: jest.fn().mockResolvedValue(body)
+  });
+  
+  beforeEach(() => {
+    interceptor = new TranscriptInterceptor({ responseTimeout: 100 });
+  });
+  
+  describe('Response capture', () => {
+    it('should register a response listener on the page', () => {
+      const mockPage = { on: jest.fn() };
+      
+      interceptor.attach(mockPage);
+      
+      expect(mockPage.on).toHaveBeenCalledWith('response', expect.any(Function));
+    });
+    
+    it('should capture timedtext responses with their language', async () => {
+      interceptor.handleResponse(mockResponse(
+        'https://www.youtube.com/api/timedtext?v=abc&lang=es&kind=asr&fmt=json3',
+        JSON.stringify({ events: [{ tStartMs: 1000, dDurationMs: 2500, segs: [{ utf8: 'Hola' }] }] })
+      ));
+      
+      await interceptor.flush();
+      
+      expect(interceptor.captures).toHaveLength(1);
+      expect(interceptor.captures[0]).toMatchObject({ type: 'timedtext', languageCode: 'es', kind: 'asr' });
+      expect(interceptor.getSegments({ languageCode: 'es' })).toEqual([
+        { text: 'Hola', start: 1, duration: 2.5 }
+      ]);
+      expect(interceptor.getSegments({ languageCode: 'en' })).toEqual([]);
+    });
+    
+    it('should tell auto-generated and uploaded tracks apart', async () => {
+      const json3 = text => JSON.stringify({ events: [{ tStartMs: 0, dDurationMs: 1000, segs: [{ utf8: text }] }] });
+      
+      interceptor.handleResponse(mockResponse('https://www.youtube.com/api/timedtext?v=abc&lang=en&fmt=json3', json3('uploaded')));
+      await interceptor.flush();
+      interceptor.handleResponse(mockResponse('https://www.youtube.com/api/timedtext?v=abc&lang=en&kind=asr&fmt=json3', json3('asr')));
+      await interceptor.flush();
+      
+      expect(interceptor.getSegments({ languageCode: 'en' })[0].text).toBe('asr');
+      expect(interceptor.getSegments({ languageCode: 'en', kind: 'manual' })[0].text).toBe('uploaded');
+      expect(interceptor.getSegments({ languageCode: 'en', kind: 'auto' })[0].text).toBe('asr');
+    });
+    
+    it('should not serve an auto-generated track for a manual request', async () => {
+      interceptor.handleResponse(mockResponse(
+        'https://www.youtube.com/api/timedtext?v=abc&lang=en&kind=asr&fmt=json3',
+        JSON.stringify({ events: [{ tStartMs: 0, dDurationMs: 1000, segs: [{ utf8: 'asr' }] }] })
+      ));
+      await interceptor.flush();
+      
+      expect(interceptor.getSegments({ languageCode: 'en', kind: 'manual' })).toEqual([]);
+      await expect(interceptor.waitForSegments({ languageCode: 'en', kind: 'manual', timeout: 50 })).resolves.toEqual([]);
+    });
+    
+    it('should ignore unrelated responses', async () => {
+      const response = mockResponse('https://www.youtube.com/youtubei/v1/player', '{}');
+      
+      interceptor.handleResponse(response);
+      await interceptor.flush();
+      
+      expect(response.text).not.toHaveBeenCalled();
+      expect(interceptor.captures).toHaveLength(0);
+    });
+    
+    it('should survive unreadable response bodies', async () => {
+      interceptor.handleResponse({
+        url: () => 'https://www.youtube.com/api/timedtext?lang=en',
+        text: jest.fn().mockRejectedValue(new Error('Response body is unavailable for redirect responses'))
+      });
+      
+      await interceptor.flush();
+      
+      expect(interceptor.captures).toHaveLength(0);
+    });
+    
+    it('should return the most recent capture after a given time', async () => {
+      interceptor.captures.push(
+        { languageCode: null, segments: [{ text: 'old', start: 0, duration: 1 }], capturedAt: 100 },
+        { languageCode: null, segments: [{ text: 'new', start: 0, duration: 1 }], capturedAt: 200 }
+      );
+      
+      expect(interceptor.getSegments()[0].text).toBe('new');
+      expect(interceptor.getSegments({ since: 300 })).toEqual([]);
+    });
+    
+    it('should give up waiting when nothing is captured', async () => {
+      const segments = await interceptor.waitForSegments({ timeout: 50 });
+      
+      expect(segments).toEqual([]);
+    });
+    
+    it('should request caption tracks as json3 from inside the page', async () => {
+      const mockPage = { evaluate: jest.fn().mockResolvedValue(undefined) };
+      
+      await interceptor.requestTrack(mockPage, {
+        languageCode: 'en',
+        baseUrl: 'https://www.youtube.com/api/timedtext?v=abc&lang=en'
+      });
+      
+      expect(mockPage.evaluate).toHaveBeenCalledWith(
+        expect.any(Function),
+        expect.stringContaining('fmt=json3')
+      );
+    });
+    
+    it('should skip tracks without a base URL', async () => {
+      const mockPage = { evaluate: jest.fn() };
+      
+      await interceptor.requestTrack(mockPage, { languageCode: 'en' });
+      
+      expect(mockPage.evaluate).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('Parsing', () => {
+    it('should parse json3 events and skip empty ones', () => {
+      const segments = interceptor.parse('timedtext', JSON.stringify({
+        events: [
+          { tStartMs: 0, dDurationMs: 1200, segs: [{ utf8: 'Hello ' }, { utf8: 'world' }] },
+          { tStartMs: 1200, dDurationMs: 800 },
+          { tStartMs: 2000, dDurationMs: 500, segs: [{ utf8: '\n' }] }
+        ]
+      }));
+      
+      expect(segments).toEqual([{ text: 'Hello world', start: 0, duration: 1.2 }]);
+    });
+    
+    it('should parse srv3 XML', () => {
+      const segments = interceptor.parse('timedtext',
+        '<timedtext><body><p t="1500" d="2000">Tom &amp; <s>Jerry</s></p></body></timedtext>'
+      );
+      
+      expect(segments).toEqual([{ text: 'Tom & Jerry', start: 1.5, duration: 2 }]);
+    });
+    
+    it('should parse legacy transcript XML', () => {
+      const segments = interceptor.parse('timedtext',
+        '<transcript><text start="3.2" dur="1.8">It&#39;s here</text></transcript>'
+      );
+      
+      expect(segments).toEqual([{ text: "It's here", start: 3.2, duration: 1.8 }]);
+    });
+    
+    it('should decode numeric references outside the BMP', () => {
+      const segments = interceptor.parse('timedtext',
+        '<transcript><text start="0" dur="1">Hi &#128512; &#x1F600; &#99999999;</text></transcript>'
+      );
+      
+      expect(segments[0].text).toBe('Hi \u{1F600} \u{1F600} &#99999999;');
+    });
+    
+    it('should parse get_transcript segment renderers', () => {
+      const body = {
+        actions: [{
+          updateEngagementPanelAction: {
+            content: {
+              transcriptRenderer: {
+                content: {
+                  transcriptSearchPanelRenderer: {
+                    body: {
+                      transcriptSegmentListRenderer: {
+                        initialSegments: [
+                          { transcriptSegmentRenderer: { startMs: '0', endMs: '4000', snippet: { runs: [{ text: 'First' }] } } },
+                          { transcriptSectionHeaderRenderer: { snippet: { simpleText: 'Chapter 1' } } },
+                          { transcriptSegmentRenderer: { startMs: '4000', endMs: '6500', snippet: { simpleText: 'Second' } } }
+                        ]
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }]
+      };
+      
+      const segments = interceptor.parse('get_transcript', JSON.stringify(body));
+      
+      expect(segments).toEqual([
+        { text: 'First', start: 0, duration: 4 },
+        { text: 'Second', start: 4, duration: 2.5 }
+      ]);
+    });
+    
+    it('should parse legacy get_transcript cue renderers', () => {
+      const body = {
+        cueGroups: [{
+          transcriptCueGroupRenderer: {
+            cues: [{ transcriptCueRenderer: { cue: { simpleText: 'Cue' }, startOffsetMs: '2000', durationMs: '3000' } }]
+          }
+        }]
+      };
+      
+      expect(interceptor.parse('get_transcript', JSON.stringify(body))).toEqual([
+        { text: 'Cue', start: 2, duration: 3 }
+      ]);
+    });
+    
+    it('should return no segments for empty or malformed payloads', () => {
+      expect(interceptor.parse('timedtext', '')).toEqual([]);
+      expect(interceptor.parse('get_transcript', '{not json')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const { VideoIdNormalizer } = require('../../lib/video-id-normalizer');
+
+describe('VideoIdNormalizer', () => {
+  let normalizer;
+  
+  beforeEach(() => {
+    normalizer = new VideoIdNormalizer();
+  });
+  
+  describe('Bare IDs', () => {
+    it('should accept an 11-character ID', () => {
+      expect(normalizer.normalize('dQw4w9WgXcQ')).toEqual({
+        videoId: 'dQw4w9WgXcQ',
+        startTime: null,
+        isShort: false
+      });
+    });
+    
+    it('should trim surrounding whitespace', () => {
+      expect(normalizer.normalize('  dQw4w9WgXcQ\n').videoId).toBe('dQw4w9WgXcQ');
+    });
+  });
+  
+  describe('URL shapes', () => {
+    const urls = [
+      'https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+      'https://youtube.com/watch?feature=share&v=dQw4w9WgXcQ',
+      'https://m.youtube.com/watch?v=dQw4w9WgXcQ',
+      'https://music.youtube.com/watch?v=dQw4w9WgXcQ&list=RDdQw4w9WgXcQ',
+      'www.youtube.com/watch?v=dQw4w9WgXcQ',
+      'https://youtu.be/dQw4w9WgXcQ',
+      'https://www.youtube.com/embed/dQw4w9WgXcQ?rel=0',
+      'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ',
+      'https://www.youtube.com/v/dQw4w9WgXcQ',
+      'https://www.youtube.com/live/dQw4w9WgXcQ?si=abc',
+      'https://www.youtube.com/attribution_link?u=%2Fwatch%3Fv%3DdQw4w9WgXcQ'
+    ];
+    
+    urls.forEach(url => {
+      it(`should extract the ID from ${url}`, () => {
+        expect(normalizer.normalize(url).videoId).toBe('dQw4w9WgXcQ');
+      });
+    });
+    
+    it('should flag Shorts URLs', () => {
+      expect(normalizer.normalize('https://www.youtube.com/shorts/dQw4w9WgXcQ')).toEqual({
+        videoId: 'dQw4w9WgXcQ',
+        startTime: null,
+        isShort: true
+      });
+    });
+  });
+  
+  describe('Start time', () => {
+    it('should read plain and suffixed seconds', () => {
+      expect(normalizer.normalize('https://youtu.be/dQw4w9WgXcQ?t=42').startTime).toBe(42);
+      expect(normalizer.normalize('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s').startTime).toBe(42);
+    });
+    
+    it('should read h/m/s durations', () => {
+      expect(normalizer.normalize('https://youtu.be/dQw4w9WgXcQ?t=1h2m3s').startTime).toBe(3723);
+      expect(normalizer.normalize('https://youtu.be/dQw4w9WgXcQ?t=1m30s').startTime).toBe(90);
+    });
+    
+    it('should read start= and fragment hints', () => {
+      expect(normalizer.normalize('https://www.youtube.com/embed/dQw4w9WgXcQ?start=15').startTime).toBe(15);
+      expect(normalizer.normalize('https://www.youtube.com/watch?v=dQw4w9WgXcQ#t=2m').startTime).toBe(120);
+    });
+    
+    it('should ignore unparseable hints', () => {
+      expect(normalizer.normalize('https://youtu.be/dQw4w9WgXcQ?t=soon').startTime).toBeNull();
+    });
+  });
+  
+  describe('Invalid input', () => {
+    const expectCode = (input, code) => {
+      try {
+        normalizer.normalize(input);
+        throw new Error('Expected normalize to throw');
+      } catch (error) {
+        expect(error.code).toBe(code);
+        expect(error.status).toBe(400);
+      }
+    };
+    
+    it('should require a value', () => {
+      expectCode(undefined, 'VIDEO_ID_REQUIRED');
+      expectCode('', 'VIDEO_ID_REQUIRED');
+    });
+    
+    it('should reject malformed IDs', () => {
+      expectCode('abc', 'INVALID_VIDEO_ID');
+      expectCode('dQw4w9WgXcQ!', 'INVALID_VIDEO_ID');
+      expectCode(12345678901, 'INVALID_VIDEO_ID');
+      expectCode('https://youtu.be/short', 'INVALID_VIDEO_ID');
+    });
+    
+    it('should reject other hosts and URLs without a video', () => {
+      expectCode('https://example.com/watch?v=dQw4w9WgXcQ', 'UNSUPPORTED_URL');
+      expectCode('https://www.youtube.com/@channel', 'UNSUPPORTED_URL');
+    });
+  });
+});
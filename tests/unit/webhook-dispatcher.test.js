@@ -0,0 +1,172 @@
+const http = require('http');
+const { createHmac } = require('crypto');
+const { WebhookDispatcher } = require('../../lib/webhook-dispatcher');
+const { RetryManager } = require('../../lib/retry-manager');
+
+describe('WebhookDispatcher', () => {
+  let dispatcher;
+  let receiver;
+  let received;
+  let responses;
+  let callbackUrl;
+  
+  beforeEach(async () => {
+    received = [];
+    responses = [];
+    
+    // Local HTTP receiver that answers with queued status codes (default 200)
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+    
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    callbackUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    
+    // The local receiver is only reachable because it is allowlisted
+    dispatcher = new WebhookDispatcher({
+      secret: 'test-secret',
+      maxAttempts: 3,
+      allowedHosts: ['127.0.0.1'],
+      retryManager: new RetryManager({ baseDelay: 10, jitter: false })
+    });
+  });
+  
+  afterEach(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+  
+  describe('Delivery', () => {
+    it('should POST the payload as JSON', async () => {
+      const delivery = await dispatcher.deliver(callbackUrl, 'transcript.completed', { videoId: 'abc' });
+      
+      expect(delivery.status).toBe('delivered');
+      expect(received).toHaveLength(1);
+      expect(received[0].headers['content-type']).toBe('application/json');
+      expect(received[0].headers['x-webhook-event']).toBe('transcript.completed');
+      expect(JSON.parse(received[0].body)).toMatchObject({
+        id: delivery.id,
+        event: 'transcript.completed',
+        data: { videoId: 'abc' }
+      });
+    });
+    
+    it('should sign the timestamp and body with HMAC-SHA256', async () => {
+      await dispatcher.deliver(callbackUrl, 'transcript.completed', { videoId: 'abc' });
+      
+      const { headers, body } = received[0];
+      const expected = createHmac('sha256', 'test-secret')
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+      
+      expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    });
+    
+    it('should retry server errors with backoff', async () => {
+      responses.push(503, 500);
+      const delaySpy = jest.spyOn(dispatcher.retryManager, 'calculateDelay');
+      
+      const delivery = await dispatcher.deliver(callbackUrl, 'transcript.completed', {});
+      
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.attempts.map(a => a.statusCode)).toEqual([503, 500, 200]);
+      expect(delaySpy).toHaveBeenCalledTimes(2);
+    });
+    
+    it('should not retry client errors', async () => {
+      responses.push(410);
+      
+      const delivery = await dispatcher.deliver(callbackUrl, 'transcript.failed', {});
+      
+      expect(delivery.status).toBe('failed');
+      expect(received).toHaveLength(1);
+    });
+    
+    it('should give up after max attempts on network errors', async () => {
+      const delivery = await dispatcher.deliver('http://127.0.0.1:1/unreachable', 'transcript.completed', {});
+      
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(3);
+      expect(delivery.attempts[0]).toHaveProperty('error');
+    });
+  });
+  
+  describe('Destination checks', () => {
+    let open;
+    
+    beforeEach(() => {
+      open = new WebhookDispatcher({
+        maxAttempts: 3,
+        retryManager: new RetryManager({ baseDelay: 10, jitter: false })
+      });
+    });
+    
+    it('should reject loopback, private and link-local addresses', () => {
+      for (const url of [
+        'http://127.0.0.1/hook',
+        'http://10.0.0.5/hook',
+        'http://172.16.1.1/hook',
+        'http://192.168.1.1/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook',
+        'http://[fd12::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook'
+      ]) {
+        expect(() => open.checkUrl(url)).toThrow(expect.objectContaining({ code: 'INVALID_CALLBACK_URL' }));
+      }
+    });
+    
+    it('should accept public hosts and addresses', () => {
+      expect(open.checkUrl('https://hooks.example.com/transcripts')).toBe('hooks.example.com');
+      expect(open.checkUrl('http://8.8.8.8/hook')).toBe('8.8.8.8');
+    });
+    
+    it('should reject non-http URLs', () => {
+      expect(() => open.checkUrl('ftp://example.com/hook')).toThrow('Callback URL must be an http(s) URL');
+      expect(() => open.checkUrl('not a url')).toThrow('Callback URL must be an http(s) URL');
+    });
+    
+    it('should reject hosts that resolve to private addresses without sending', async () => {
+      const delivery = await open.deliver(`http://localhost:${receiver.address().port}/hook`, 'transcript.completed', {});
+      
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(1);
+      expect(delivery.attempts[0].error).toMatch(/resolves to a private address/);
+      expect(received).toHaveLength(0);
+    });
+    
+    it('should only accept allowlisted hosts when an allowlist is set', () => {
+      expect(dispatcher.checkUrl(callbackUrl)).toBe('127.0.0.1');
+      expect(() => dispatcher.checkUrl('https://hooks.example.com/')).toThrow('Callback host hooks.example.com is not allowed');
+    });
+  });
+  
+  describe('Statistics', () => {
+    it('should track delivery outcomes', async () => {
+      responses.push(400);
+      
+      await dispatcher.deliver(callbackUrl, 'transcript.completed', {});
+      await dispatcher.deliver(callbackUrl, 'transcript.completed', {});
+      
+      const stats = dispatcher.getStats();
+      expect(stats).toMatchObject({ total: 2, delivered: 1, failed: 1, pending: 0, attempts: 2 });
+      expect(stats.recent).toHaveLength(2);
+      expect(stats.recent[0]).toMatchObject({ url: callbackUrl, status: 'failed', attempts: 1 });
+    });
+    
+    it('should bound delivery history', async () => {
+      dispatcher.historySize = 2;
+      
+      for (let i = 0; i < 3; i++) {
+        await dispatcher.deliver(callbackUrl, 'transcript.completed', { i });
+      }
+      
+      expect(dispatcher.deliveries).toHaveLength(2);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const { YouTubeUIDetector } = require('../../lib/youtube-ui-detector');
+const { RetryPolicy } = require('../../lib/retry-policy');
 
 describe('YouTubeUIDetector', () => {
   let detector;
@@ -163,6 +164,127 @@ describe('YouTubeUIDetector', () => {
       
       expect(button).toBeNull();
     });
+    
+    describe('with a retry policy', () => {
+      // Only the waits between rounds reach the page
+      beforeEach(() => {
+        detector.waitForPageReady = jest.fn().mockResolvedValue(undefined);
+        ['findInDescription', 'findInMenu', 'findDirectButton', 'findByText', 'findByAttribute']
+          .forEach(strategy => {
+            detector[strategy] = jest.fn().mockResolvedValue(null);
+          });
+      });
+      
+      it('should take its rounds and delay from the policy', async () => {
+        const attempts = new RetryPolicy({ uiAttempts: 2, uiRetryDelay: 500 }).start();
+        
+        const button = await detector.findTranscriptButton(mockPage, { maxAttempts: 5, attempts });
+        
+        expect(button).toBeNull();
+        expect(mockPage.waitForTimeout).toHaveBeenCalledTimes(1);
+        expect(mockPage.waitForTimeout).toHaveBeenCalledWith(500);
+        expect(attempts.retries.uiDetector).toBe(1);
+      });
+      
+      it('should not start another round past the time budget', async () => {
+        const attempts = new RetryPolicy({ uiAttempts: 3, uiRetryDelay: 2000, timeBudget: 1000 }).start();
+        
+        const button = await detector.findTranscriptButton(mockPage, { attempts });
+        
+        expect(button).toBeNull();
+        expect(mockPage.waitForTimeout).not.toHaveBeenCalled();
+        expect(attempts.retries.uiDetector).toBe(0);
+      });
+    });
+  });
+  
+  describe('Shorts', () => {
+    it('should detect Shorts by URL', async () => {
+      mockPage.url = jest.fn().mockReturnValue('https://www.youtube.com/shorts/abc123def45');
+      
+      expect(await detector.isShortsPage(mockPage)).toBe(true);
+    });
+    
+    it('should detect the Shorts player layout', async () => {
+      mockPage.url = jest.fn().mockReturnValue('https://www.youtube.com/watch?v=abc123def45');
+      mockPage.$.mockImplementation(async (selector) => (selector === 'ytd-shorts' ? {} : null));
+      
+      expect(await detector.isShortsPage(mockPage)).toBe(true);
+    });
+    
+    it('should not flag regular watch pages', async () => {
+      mockPage.url = jest.fn().mockReturnValue('https://www.youtube.com/watch?v=abc123def45');
+      mockPage.$.mockResolvedValue(null);
+      
+      expect(await detector.isShortsPage(mockPage)).toBe(false);
+    });
+    
+    it('should wait for the Shorts action bar instead of the watch page one', async () => {
+      mockPage.waitForSelector.mockResolvedValue({});
+      
+      await detector.waitForPageReady(mockPage, { shorts: true });
+      
+      expect(mockPage.waitForSelector).toHaveBeenCalledWith(
+        expect.stringContaining('ytd-reel-video-renderer[is-active] #menu-button button'),
+        expect.any(Object)
+      );
+    });
+    
+    it('should reach the transcript through the Shorts description panel', async () => {
+      const mockMenuButton = { click: jest.fn() };
+      const mockDescriptionItem = { click: jest.fn() };
+      const mockTranscriptButton = { click: jest.fn() };
+      
+      mockPage.$.mockImplementation(async (selector) => {
+        if (selector.includes('#menu-button')) return mockMenuButton;
+        if (selector.includes('Description')) return mockDescriptionItem;
+        return null;
+      });
+      mockPage.waitForSelector.mockImplementation(async (selector) => {
+        if (selector.includes('ytd-video-description-transcript-section-renderer')) {
+          return mockTranscriptButton;
+        }
+        return {};
+      });
+      
+      const button = await detector.findTranscriptButton(mockPage, { shorts: true, maxAttempts: 1 });
+      
+      expect(button).toBe(mockTranscriptButton);
+      expect(mockMenuButton.click).toHaveBeenCalled();
+      expect(mockDescriptionItem.click).toHaveBeenCalled();
+    });
+    
+    it('should take a transcript item listed directly in the Shorts menu', async () => {
+      const mockMenuButton = { click: jest.fn() };
+      const mockMenuItem = { isVisible: jest.fn().mockResolvedValue(true) };
+      
+      mockPage.$.mockImplementation(async (selector) => {
+        if (selector.includes('#menu-button')) return mockMenuButton;
+        if (selector.includes('transcript')) return mockMenuItem;
+        return null;
+      });
+      mockPage.waitForSelector.mockResolvedValue({});
+      
+      const button = await detector.findTranscriptButton(mockPage, { shorts: true, maxAttempts: 1 });
+      
+      expect(button).toBe(mockMenuItem);
+    });
+    
+    it('should not use watch page strategies on Shorts', async () => {
+      const spy = jest.spyOn(detector, 'findInDescription');
+      mockPage.$.mockResolvedValue(null);
+      mockPage.$$.mockResolvedValue([]);
+      mockPage.waitForSelector.mockResolvedValue({});
+      mockPage.locator.mockReturnValue({
+        first: jest.fn().mockReturnThis(),
+        isVisible: jest.fn().mockResolvedValue(false)
+      });
+      
+      const button = await detector.findTranscriptButton(mockPage, { shorts: true, maxAttempts: 1 });
+      
+      expect(button).toBeNull();
+      expect(spy).not.toHaveBeenCalled();
+    });
   });
   
   describe('Transcript Panel Detection', () => {
@@ -259,6 +381,166 @@ describe('YouTubeUIDetector', () => {
     });
   });
   
+  describe('Transcript Language', () => {
+    const tracks = [
+      { languageCode: 'en', name: 'English (auto-generated)', kind: 'asr' },
+      { languageCode: 'es-419', name: 'Spanish (Latin America)', kind: null },
+      { languageCode: 'fr', name: 'French', kind: null }
+    ];
+    
+    it('should read caption tracks from the player response', async () => {
+      mockPage.evaluate.mockResolvedValue(tracks);
+      
+      const result = await detector.getCaptionTracks(mockPage);
+      
+      expect(result).toEqual(tracks);
+    });
+    
+    it('should return no caption tracks when the player response is unreadable', async () => {
+      mockPage.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+      
+      const result = await detector.getCaptionTracks(mockPage);
+      
+      expect(result).toEqual([]);
+    });
+    
+    it('should match tracks by exact and regional language code', () => {
+      expect(detector.findCaptionTrack(tracks, ['fr']).languageCode).toBe('fr');
+      expect(detector.findCaptionTrack(tracks, ['es']).languageCode).toBe('es-419');
+    });
+    
+    it('should match tracks by language name', () => {
+      expect(detector.findCaptionTrack(tracks, ['French']).languageCode).toBe('fr');
+      expect(detector.findCaptionTrack(tracks, ['English (auto-generated)']).languageCode).toBe('en');
+    });
+    
+    it('should honor fallback order', () => {
+      expect(detector.findCaptionTrack(tracks, ['de', 'fr', 'en']).languageCode).toBe('fr');
+      expect(detector.findCaptionTrack(tracks, ['de', 'ja'])).toBeNull();
+    });
+    
+    it('should match dropdown labels against language codes', () => {
+      expect(detector.matchesLanguageLabel('Spanish (auto-generated)', 'es')).toBe(true);
+      expect(detector.matchesLanguageLabel('German', 'de')).toBe(true);
+      expect(detector.matchesLanguageLabel('English', 'es')).toBe(false);
+    });
+    
+    it('should classify track kinds', () => {
+      expect(detector.getTrackKind(tracks[0])).toBe('auto');
+      expect(detector.getTrackKind(tracks[2])).toBe('manual');
+      expect(detector.getTrackKindFromLabel('Spanish (auto-generated)')).toBe('auto');
+      expect(detector.getTrackKindFromLabel('Spanish')).toBe('manual');
+      expect(detector.getTrackKindFromLabel(null)).toBeNull();
+    });
+    
+    it('should filter tracks by kind', () => {
+      expect(detector.findCaptionTrack(tracks, ['en'], { kind: 'manual' })).toBeNull();
+      expect(detector.findCaptionTrack(tracks, ['en'], { kind: 'auto' }).languageCode).toBe('en');
+      expect(detector.filterTracksByKind(tracks, 'any')).toHaveLength(3);
+    });
+    
+    it('should click the matching language in the dropdown', async () => {
+      const mockMenu = {
+        isVisible: jest.fn().mockResolvedValue(true),
+        textContent: jest.fn().mockResolvedValue('English (auto-generated)'),
+        click: jest.fn()
+      };
+      const mockItem = {
+        textContent: jest.fn().mockResolvedValue('French'),
+        click: jest.fn()
+      };
+      const mockPanel = { $: jest.fn().mockResolvedValue(mockMenu) };
+      mockPage.$$.mockResolvedValue([mockItem]);
+      
+      const switched = await detector.selectTranscriptLanguage(mockPage, mockPanel, tracks[2]);
+      
+      expect(switched).toBe(true);
+      expect(mockMenu.click).toHaveBeenCalled();
+      expect(mockItem.click).toHaveBeenCalled();
+    });
+    
+    it('should not switch when the panel has no language dropdown', async () => {
+      const mockPanel = { $: jest.fn().mockResolvedValue(null) };
+      
+      const switched = await detector.selectTranscriptLanguage(mockPage, mockPanel, tracks[2]);
+      
+      expect(switched).toBe(false);
+    });
+  });
+  
+  describe('Page State', () => {
+    const playability = (status, reason, subreason = null) => ({ status, reason, subreason });
+    
+    it('should treat OK and unreadable status as playable', () => {
+      expect(detector.classifyPlayability(playability('OK', null))).toBe('playable');
+      expect(detector.classifyPlayability(null)).toBe('playable');
+      expect(detector.classifyPlayability(playability(null, null))).toBe('playable');
+    });
+    
+    it('should classify unavailable, private, age-restricted and members-only videos', () => {
+      expect(detector.classifyPlayability(playability('ERROR', 'Video unavailable')))
+        .toBe('unavailable');
+      expect(detector.classifyPlayability(playability('LOGIN_REQUIRED', 'This video is private')))
+        .toBe('private');
+      expect(detector.classifyPlayability(playability('LOGIN_REQUIRED', 'Sign in to confirm your age')))
+        .toBe('age_restricted');
+      expect(detector.classifyPlayability(playability('AGE_CHECK_REQUIRED', null)))
+        .toBe('age_restricted');
+      expect(detector.classifyPlayability(playability(
+        'UNPLAYABLE',
+        'Join this channel to get access to members-only content like this video, and other exclusive perks.'
+      ))).toBe('members_only');
+    });
+    
+    it('should classify bot checks, offline streams and other unplayable videos', () => {
+      expect(detector.classifyPlayability(playability('LOGIN_REQUIRED', 'Sign in to confirm you\'re not a bot')))
+        .toBe('bot_check');
+      expect(detector.classifyPlayability(playability('LIVE_STREAM_OFFLINE', 'Premieres in 2 hours')))
+        .toBe('offline');
+      expect(detector.classifyPlayability(playability('UNPLAYABLE', 'The uploader has not made this video available in your country')))
+        .toBe('unplayable');
+    });
+    
+    it('should read the playability status from the page', async () => {
+      mockPage.evaluate.mockResolvedValue(playability('ERROR', 'This video has been removed by the uploader'));
+      
+      expect(await detector.getPageState(mockPage)).toEqual({
+        state: 'unavailable',
+        reason: 'This video has been removed by the uploader'
+      });
+    });
+    
+    it('should throw typed errors for unplayable videos', async () => {
+      const cases = [
+        [playability('ERROR', 'Video unavailable'), 'VIDEO_NOT_FOUND'],
+        [playability('LOGIN_REQUIRED', 'Private video'), 'PRIVATE_VIDEO'],
+        [playability('LOGIN_REQUIRED', 'Sign in to confirm your age'), 'AGE_RESTRICTED'],
+        [playability('UNPLAYABLE', 'Members-only content'), 'MEMBERS_ONLY']
+      ];
+      
+      for (const [status, code] of cases) {
+        mockPage.evaluate.mockResolvedValue(status);
+        
+        await expect(detector.assertPlayable(mockPage))
+          .rejects.toMatchObject({ code, reason: status.reason });
+      }
+    });
+    
+    it('should pass playable videos and unreadable pages', async () => {
+      mockPage.evaluate.mockResolvedValue(playability('OK', null));
+      await expect(detector.assertPlayable(mockPage)).resolves.toBeUndefined();
+      
+      mockPage.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+      await expect(detector.assertPlayable(mockPage)).resolves.toBeUndefined();
+    });
+    
+    it('should fall back to unknown publish info when the page cannot be read', async () => {
+      mockPage.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+      
+      expect(await detector.getPublishInfo(mockPage)).toEqual({ publishedAt: null, isLive: false });
+    });
+  });
+  
   describe('Transcript Availability', () => {
     it('should detect when transcripts are available', async () => {
       mockPage.$.mockResolvedValue({ pressed: true });
@@ -304,6 +586,13 @@ describe('YouTubeUIDetector', () => {
       );
     });
     
+    it('should have Shorts selector sets', () => {
+      expect(detector.shortsSelectors.page).toContain('ytd-shorts');
+      expect(detector.shortsSelectors.menuButton.length).toBeGreaterThan(0);
+      expect(detector.shortsSelectors.descriptionItem.length).toBeGreaterThan(0);
+      expect(detector.shortsSelectors.transcriptButton.length).toBeGreaterThan(0);
+    });
+    
     it('should have UI pattern detectors', () => {
       expect(detector.uiPatterns.isVideoPage).toContain('ytd-watch-flexy');
       expect(detector.uiPatterns.hasTranscript).toContain(